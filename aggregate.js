@@ -0,0 +1,193 @@
+'use strict';
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var sql = require('./sql');
+var utils = require('./utils');
+var softDelete = require('./soft-delete');
+
+var names = utils.names;
+var parse_args = utils.parse_args;
+
+var ORM = { prototype: {} };
+module.exports = ORM.prototype;
+
+// aggregate
+// =========
+// Counting rows and computing sums, averages, etc over them
+//
+
+//
+// count([query] table [criteria [options]] callback)
+// -----
+//
+// Counts the rows of a table which match the criteria.
+//
+//  + table - Table name or reference
+//  + criteria - Object containing search criteria, as for loadMany
+//  + options
+//     + distinct - Count the distinct non-null values of this field instead
+//       of counting rows
+//     + withDeleted, onlyDeleted - See loadMany
+//  + callback - (err, count)
+//
+// ### Example
+//
+//     count(schema.users, { country: { name: 'Estonia' } },
+//       function (err, count) { ... });
+//
+ORM.prototype.count = function () {
+	var args = parse_args(this, arguments);
+	var options = args.options;
+	var callback = args.callback;
+	var aggregate = options.distinct ?
+		{ $countDistinct: options.distinct } : { $count: '*' };
+	this.aggregate(args.query, args.table, args.data,
+		_({ aggregates: { count: aggregate } })
+			.extend(_(options).pick('withDeleted', 'onlyDeleted')),
+		function (err, rows) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, rows[0].count);
+		});
+};
+
+//
+// aggregate([query] table [criteria [options]] callback)
+// ---------
+//
+// Computes aggregates over the rows of a table which match the criteria,
+// optionally grouped by some fields.
+//
+//  + table - Table name or reference
+//  + criteria - Object containing search criteria, as for loadMany
+//  + options
+//     + aggregates - Object of aggregates to compute, of the form
+//       { alias: { $function: field } }.  The functions are $count,
+//       $countDistinct, $sum, $avg, $min and $max.  `$count: '*'` counts
+//       rows.  See sql.selectAggregates for details.
+//     + groupBy - Name or reference of the field to group on, or an array of
+//       such.
+//     + having - Criteria on the aggregates and grouped fields, using the
+//       same operators as the search criteria.
+//     + lookup (default: true) - Grouped fields which are foreign keys are
+//       replaced by the parent row, see loadMany for the values of this
+//       option.
+//     + sort - Names of aggregates and grouped fields to sort on, see
+//       loadMany.
+//     + first, last, count - Limit the range of groups retrieved, see
+//       loadMany.
+//     + withDeleted, onlyDeleted - See loadMany
+//  + callback - (err, rows) - One row per group, containing the grouped
+//    fields and the aggregates.
+//
+// ### Example
+//
+//     // Number of posts and date of latest post by each user who has posted
+//     // more than once, with the user record looked up
+//     aggregate(schema.posts, { deleted: false },
+//       {
+//         aggregates: {
+//           posts: { $count: '*' },
+//           latest: { $max: 'date' }
+//         },
+//         groupBy: 'user',
+//         having: { posts: { $gt: 1 } },
+//         sort: '-posts'
+//       },
+//       function (err, rows) {
+//         rows.forEach(function (row) {
+//           console.log(row.user.username + ': ' + row.posts);
+//         });
+//       });
+//
+ORM.prototype.aggregate = function () {
+	var args = parse_args(this, arguments);
+	var query = args.query;
+	var table = args.table;
+	var options = args.options;
+	var criteria = softDelete.criteria(table, args.data, options);
+	var callback = args.callback;
+	var self = this;
+	var aggregates = options.aggregates || {};
+	var groupBy = options.groupBy || [];
+	if (!_(groupBy).isArray()) {
+		groupBy = [groupBy];
+	}
+	groupBy = groupBy.map(function (field) {
+		return field.$type === 'field' ? field.$name : field;
+	});
+	var unknown = _(groupBy).difference(names(table));
+	if (unknown.length) {
+		return callback(new Error('Cannot group on "' + unknown.join('", "') +
+			'": field not found in table "' + table.$name + '"'));
+	}
+	async.waterfall([
+			function (callback) {
+				async.parallel([
+						async.apply(sql.selectAggregates, self, table, groupBy,
+							aggregates),
+						async.apply(sql.from, self, table),
+						async.apply(sql.where, self, query, table, criteria),
+						async.apply(sql.groupBy, self, table, groupBy),
+						async.apply(sql.having, self, query, table,
+							options.having, groupBy, aggregates),
+						async.apply(sql.orderby, self, table, options.sort || []),
+						async.apply(sql.limit, self, options)
+					],
+					callback);
+			},
+			function (sqlParts, callback) {
+				query(_(sqlParts).compact().join('\n'), null, callback);
+			},
+			function (rows, callback) {
+				/* Deserialize grouped fields and minimums/maximums */
+				rows.forEach(function (row) {
+					groupBy.forEach(function (name) {
+						if (table[name].deserialize) {
+							row[name] = table[name].deserialize(row[name]);
+						}
+					});
+					_(aggregates).each(function (spec, alias) {
+						var field = spec.$min || spec.$max;
+						if (field && field.$type === 'field') {
+							field = field.$name;
+						}
+						if (field && table[field].deserialize) {
+							row[alias] = table[field].deserialize(row[alias]);
+						}
+					});
+				});
+				/* Lookup parent rows of grouped foreign keys */
+				var cols = groupBy.filter(function (name) {
+					return !!table[name].references;
+				});
+				if (!cols.length) {
+					return callback(null, rows);
+				}
+				async.each(rows,
+					function (row, callback) {
+						self.lookupForeignValues(query, table, row,
+							{ cols: cols, lookup: options.lookup }, callback);
+					},
+					function (err) {
+						callback(err, rows);
+					});
+			}
+		],
+		callback);
+};
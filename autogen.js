@@ -80,14 +80,21 @@ function create_tables(orm, recreate, callback) {
 // ------------
 // Generates a CREATE TABLE query for the given table definition
 //
+module.exports.create_table = create_table;
 function create_table(orm, table) {
 	var columns = [];
 	names(table).forEach(function (fieldName) {
-		columns.push(column_definition(orm, table[fieldName]));
+		columns.push(column_spec(orm, table[fieldName]));
+	});
+	table_indexes(table).forEach(function (index) {
+		columns.push(index_definition(orm, index));
 	});
 	if (table.$primary && table.$primary.length) {
 		columns.push(mysql.format('PRIMARY KEY (??)', [table.$primary]));
 	}
+	table_foreign_keys(table).forEach(function (fk) {
+		columns.push(foreign_key_definition(orm, fk));
+	});
 	var lines = [];
 	lines.push(mysql.format('CREATE TABLE IF NOT EXISTS ?? (', table.$name));
 	lines.push(indent(columns.join(',\n')));
@@ -99,48 +106,140 @@ function create_table(orm, table) {
 	return lines.join('\n');
 }
 
-// column_definition
-// -----------------
-// Generates column_definition clauses for CREATE_TABLE
+// column_spec
+// -----------
+// Generates the definition of a column, as used by CREATE TABLE and by ALTER
+// TABLE ... ADD/MODIFY COLUMN
 //
-function column_definition(orm, field) {
-	var lines = [];
-	if (field.index) {
-		lines.push(['INDEX ?? (??)', [field.index, field.$name]]);
-	}
-	if (field.unique) {
-		lines.push(['CONSTRAINT ?? UNIQUE KEY (??)', [field.unique, field.$name]]);
-	}
-	if (field.references) {
-		lines.push([[
-			'CONSTRAINT ?? FOREIGN KEY (??)',
-			'REFERENCES ?? (??)',
-			'ON UPDATE ' + field.onUpdate,
-			'ON DELETE ' + field.onDelete].join('\n\t'),
-			[field.$fkname, field.$name, field.references.$table.$name,
-			field.references.$name]]);
-	}
-	lines = lines
-		.map(function (ar) { return mysql.format.apply(mysql, ar); })
-		.map(indent);
-	var def = field.default;
-	if (_(field).has('default') && field.serialize) {
-		def = field.serialize(def);
-	}
-	lines.unshift(_([
+module.exports.column_spec = column_spec;
+function column_spec(orm, field) {
+	var def = column_default(field);
+	return _([
 		mysql.escapeId(field.$name),
 		field.type,
 		field.auto_increment && 'AUTO_INCREMENT',
 		!field.nullable && 'NOT NULL',
-		field.default && (
-			_.isString(def) && def.charAt(0)=='$' && ('DEFAULT ' + def.substring(1))
-			|| ('DEFAULT ' + mysql.escape(def))
-			),
+		def !== null && ('DEFAULT ' + def),
 		field.update && (
 			_.isString(field.update) && field.update.charAt(0)=='$' && ('ON UPDATE ' + field.update.substring(1))
 			|| ('ON UPDATE ' + mysql.escape(field.update))
 			),
 		field.comment && ('COMMENT ' + mysql.escape(field.comment))
-	]).compact().join(' '));
-	return lines.join(',\n');
-};
+	]).compact().join(' ');
+}
+
+// column_default
+// --------------
+// Generates the SQL for the default value of a column, or returns null if the
+// column has no default (or a null default).  Defaults beginning with `$` are SQL expressions,
+// e.g. `'$CURRENT_TIMESTAMP'`.
+//
+module.exports.column_default = column_default;
+function column_default(field) {
+	if (field.default === null || _(field.default).isUndefined()) {
+		return null;
+	}
+	var def = field.default;
+	if (field.serialize) {
+		def = field.serialize(def);
+	}
+	if (_.isString(def) && def.charAt(0) == '$') {
+		return def.substring(1);
+	}
+	return mysql.escape(def);
+}
+
+// table_indexes
+// -------------
+// Lists the indexes and unique keys declared in a table definition, on its
+// fields and in `$indexes` / `$unique`, as { name, unique, type, columns }
+// objects (see parse-schema.js)
+//
+module.exports.table_indexes = table_indexes;
+function table_indexes(table) {
+	var list = [];
+	var column = function (name) {
+		return [{ name: name, length: null, order: 'ASC' }];
+	};
+	names(table).forEach(function (fieldName) {
+		var field = table[fieldName];
+		if (field.index) {
+			list.push({ name: field.index, unique: false, type: null,
+				columns: column(fieldName) });
+		}
+		if (field.unique) {
+			list.push({ name: field.unique, unique: true, type: null,
+				columns: column(fieldName) });
+		}
+	});
+	return list.concat(table.$indexes || [], table.$unique || []);
+}
+
+// table_foreign_keys
+// ------------------
+// Lists the foreign keys declared in a table definition, on its fields and in
+// `$references`, as { name, columns, table, refColumns, onUpdate, onDelete }
+// objects
+//
+module.exports.table_foreign_keys = table_foreign_keys;
+function table_foreign_keys(table) {
+	var relations = _(table.$references || {}).map(function (relation) {
+		return {
+			name: relation.$fkname,
+			columns: relation.columns,
+			table: relation.references[0].$table.$name,
+			refColumns: _(relation.references).pluck('$name'),
+			onUpdate: relation.onUpdate,
+			onDelete: relation.onDelete
+		};
+	});
+	return names(table)
+		.filter(function (fieldName) {
+			return !!table[fieldName].references;
+		})
+		.map(function (fieldName) {
+			var field = table[fieldName];
+			return {
+				name: field.$fkname,
+				columns: [fieldName],
+				table: field.references.$table.$name,
+				refColumns: [field.references.$name],
+				onUpdate: field.onUpdate,
+				onDelete: field.onDelete
+			};
+		})
+		.concat(relations);
+}
+
+// index_definition
+// ----------------
+// Generates an index or unique key clause from an object as returned by
+// table_indexes
+//
+module.exports.index_definition = index_definition;
+function index_definition(orm, index) {
+	var columns = index.columns.map(function (col) {
+		return mysql.escapeId(col.name) +
+			(col.length ? '(' + col.length + ')' : '') +
+			(col.order === 'DESC' ? ' DESC' : '');
+	}).join(', ');
+	return mysql.format(
+		index.unique ? 'CONSTRAINT ?? UNIQUE KEY' :
+		index.type ? index.type + ' INDEX ??' : 'INDEX ??',
+		[index.name]) + ' (' + columns + ')';
+}
+
+// foreign_key_definition
+// ----------------------
+// Generates a foreign key constraint clause from an object as returned by
+// table_foreign_keys
+//
+module.exports.foreign_key_definition = foreign_key_definition;
+function foreign_key_definition(orm, fk) {
+	return mysql.format([
+			'CONSTRAINT ?? FOREIGN KEY (??)',
+			'REFERENCES ?? (??)',
+			'ON UPDATE ' + fk.onUpdate,
+			'ON DELETE ' + fk.onDelete].join('\n\t'),
+		[fk.name, fk.columns, fk.table, fk.refColumns]);
+}
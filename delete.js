@@ -17,6 +17,9 @@ var _ = require('underscore');
 
 var sql = require('./sql');
 var utils = require('./utils');
+var errors = require('./errors');
+var hooks = require('./hooks');
+var softDelete = require('./soft-delete');
 
 var names = utils.names;
 var parse_args = utils.parse_args;
@@ -29,7 +32,7 @@ module.exports = ORM.prototype;
 // Deletes data from the database
 
 // 
-// delete([query] table id|criteria callback)
+// delete([query] table id|criteria [options] callback)
 // ----------
 // 
 // Delete one row from a table
@@ -37,7 +40,19 @@ module.exports = ORM.prototype;
 //  + table - Table name or reference
 //  + id - Row ID (primary key value)
 //  + criteria - Object containing search criteria
-//  + callback - (err)
+//  + options
+//     + hooks (default: true) - Set to false to skip the beforeDelete hooks,
+//       see hooks.js
+//     + force (default: false) - Really delete rows of a table which has a
+//       soft delete column, rather than marking them as deleted.  Rows which
+//       were soft-deleted are also matched, unless `onlyDeleted` is given to
+//       only match them.  See soft-delete.js.
+//  + callback - (err) - A NotFoundError or MultipleRowsError (see errors.js)
+//    if no row or several rows matched
+// 
+// Rows of a table with a soft delete column (see `$softDelete` in index.js)
+// are marked as deleted by an UPDATE, unless the force option is given.  Rows
+// which are already marked are not matched.
 // 
 // ### Example using primary key value
 // 
@@ -53,13 +68,23 @@ ORM.prototype.delete = function () {
 	var query = args.query;
 	var table = args.table;
 	var criteria = args.data;
+	var options = args.options;
 	var callback = args.callback;
 	var self = this;
-	async.parallel([
-			async.apply(sql.select, this, table.$primary),
-			async.apply(sql.from, this, table),
-			async.apply(sql.where, this, query, table, criteria),
-			async.apply(sql.limit, this, { count: 2})
+	async.waterfall([
+			async.apply(hooks.run_hooks, this, table, 'beforeDelete', [criteria],
+				query, options),
+			function (callback) {
+				async.parallel([
+						async.apply(sql.select, self, table.$primary),
+						async.apply(sql.from, self, table),
+						async.apply(sql.where, self, query, table,
+							softDelete.criteria(table, criteria,
+								deleteOptions(options))),
+						async.apply(sql.limit, self, { count: 2})
+					],
+					callback);
+			}
 		],
 		function (err, sqlParts) {
 			if (err) {
@@ -70,18 +95,20 @@ ORM.prototype.delete = function () {
 					return callback(err);
 				}
 				if (res.length === 0) {
-					return callback(new Error('Item not found'), false);
+					return callback(new errors.NotFoundError(table, criteria), false);
 				}
 				else if (res.length > 1) {
-					return callback(new Error('Multiple items matched'), true);
+					return callback(new errors.MultipleRowsError(table, criteria),
+						true);
 				}
-				self.deleteMany(query, table, res[0], callback);
+				self.deleteMany(query, table, res[0],
+					_({}).extend(options, { hooks: false }), callback);
 			});
 		});
 };
 
 // 
-// deleteMany([query] table id|criteria callback)
+// deleteMany([query] table id|criteria [options] callback)
 // ----------
 // 
 // Delete one or more rows from a table
@@ -89,6 +116,7 @@ ORM.prototype.delete = function () {
 //  + table - Table name or reference
 //  + id - Row ID (primary key value)
 //  + criteria - Object containing search criteria
+//  + options - see delete()
 //  + callback - (err, deleted_row_count)
 // 
 // ### Example using primary key value
@@ -100,17 +128,34 @@ ORM.prototype.delete = function () {
 //     deleteMany(schema.users, { role: { name: 'guest' } }, callback);
 // 
 // 
-ORM.prototype.delete = function () {
+ORM.prototype.deleteMany = function () {
 	var args = parse_args(this, arguments);
 	var query = args.query;
 	var table = args.table;
 	var criteria = args.data;
+	var options = args.options;
 	var callback = args.callback;
 	var self = this;
-	async.parallel([
-			async.apply(sql.delete),
-			async.apply(sql.from, this, table),
-			async.apply(sql.where, this, query, table, criteria)
+	var soft = table.$softDelete && !options.force;
+	var where = softDelete.criteria(table, criteria, deleteOptions(options));
+	async.waterfall([
+			async.apply(hooks.run_hooks, this, table, 'beforeDelete', [criteria],
+				query, options),
+			function (callback) {
+				async.parallel(soft ? [
+						async.apply(sql.update, self, table),
+						async.apply(sql.set, self, [table.$softDelete],
+							_.object([table.$softDelete],
+								[softDelete.value(table, true)]),
+							table.$version ? [table.$version] : []),
+						async.apply(sql.where, self, query, table, where)
+					] : [
+						async.apply(sql.delete),
+						async.apply(sql.from, self, table),
+						async.apply(sql.where, self, query, table, where)
+					],
+					callback);
+			}
 		],
 		function (err, sqlParts) {
 			if (err) {
@@ -124,3 +169,60 @@ ORM.prototype.delete = function () {
 			});
 		});
 };
+
+// 
+// restore([query] table id|criteria [options] callback)
+// -------
+// 
+// Restores rows of a table with a soft delete column (see `$softDelete` in
+// index.js) which were deleted, by clearing the column.
+//
+//  + table - Table name or reference
+//  + id - Row ID (primary key value)
+//  + criteria - Object containing search criteria
+//  + callback - (err, restored_row_count)
+// 
+// ### Example
+// 
+//     restore(schema.posts, { user: { username: 'mark' } }, callback);
+// 
+ORM.prototype.restore = function () {
+	var args = parse_args(this, arguments);
+	var query = args.query;
+	var table = args.table;
+	var callback = args.callback;
+	var self = this;
+	if (!table.$softDelete) {
+		return callback(new Error('Cannot restore rows of table ' +
+			table.$fullname + ': it has no soft delete column'));
+	}
+	var where = softDelete.criteria(table, args.data, { onlyDeleted: true });
+	async.parallel([
+			async.apply(sql.update, self, table),
+			async.apply(sql.set, self, [table.$softDelete],
+				_.object([table.$softDelete], [softDelete.value(table, false)]),
+				table.$version ? [table.$version] : []),
+			async.apply(sql.where, self, query, table, where)
+		],
+		function (err, sqlParts) {
+			if (err) {
+				return callback(err);
+			}
+			query(sqlParts.join('\n'), null, function (err, res) {
+				if (err) {
+					return callback(err);
+				}
+				callback(null, res.affectedRows);
+			});
+		});
+};
+
+/*
+ * Options for matching rows to delete: rows which were soft-deleted are only
+ * matched when they are to be deleted for real
+ */
+function deleteOptions(options) {
+	return options.force ?
+		{ withDeleted: !options.onlyDeleted, onlyDeleted: options.onlyDeleted } :
+		{};
+}
@@ -0,0 +1,133 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+var names = utils.names;
+
+// dependencies
+// ============
+// Ordering of tables by their foreign keys
+//
+// Rows are saved to several tables at once (e.g. by saveMultipleTables) with
+// the parent tables first, so that the foreign keys of the rows in the child
+// tables can be looked up.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// order_tables
+// ------------
+// Orders tables so that each table comes after the tables that it references.
+//
+//  + orm - The ORM
+//  + tableNames - Names of the tables to order
+//  + callback - (err, { order, deferred })
+//
+// `order` is the array of table names in the order to save them, and
+// `deferred` is an object mapping table names to arrays of names of foreign
+// key fields (or relations, see `$references` in parse-schema.js) which
+// cannot be set when the rows are first saved.  These must be saved as null
+// and set once the rows of all the tables have been saved.
+//
+// Self-references (e.g. `employees.manager`) are always deferred, as the rows
+// of a table are looked up before any of them is saved.  When the foreign keys
+// between the tables form a cycle, the nullable foreign keys of a table on the
+// cycle are deferred to break it.  A cycle of foreign keys which are not
+// nullable cannot be broken, and is reported as an error.
+//
+// Tables which do not depend on each other are kept in the order given.
+//
+module.exports.order_tables = function (orm, tableNames, callback) {
+	/* Foreign keys between the tables: { table: [{ name, parent, nullable }] } */
+	var edges = {};
+	var deferred = {};
+	tableNames.forEach(function (tableName) {
+		var table = orm.schema[tableName];
+		edges[tableName] = [];
+		links(table).forEach(function (link) {
+			if (!_(tableNames).contains(link.parent)) {
+				return;
+			}
+			if (link.parent === tableName && link.nullable) {
+				(deferred[tableName] = deferred[tableName] || []).push(link.name);
+			}
+			else if (link.parent !== tableName) {
+				edges[tableName].push(link);
+			}
+		});
+	});
+	var order = [];
+	var remaining = _(tableNames).clone();
+	var ready = function (tableName) {
+		return _(edges[tableName]).every(function (link) {
+			return !_(remaining).contains(link.parent);
+		});
+	};
+	while (remaining.length) {
+		var next = _(remaining).find(ready);
+		if (!next) {
+			/* Cycle: defer the nullable foreign keys of the first table we can */
+			next = _(remaining).find(function (tableName) {
+				return _(edges[tableName]).every(function (link) {
+					return link.nullable || !_(remaining).contains(link.parent);
+				});
+			});
+			if (!next) {
+				return callback(new Error('Cannot order tables ' +
+					remaining.join(', ') + ': they have circular foreign keys ' +
+					'which are not nullable'));
+			}
+			edges[next].forEach(function (link) {
+				if (_(remaining).contains(link.parent)) {
+					(deferred[next] = deferred[next] || []).push(link.name);
+				}
+			});
+		}
+		order.push(next);
+		remaining = _(remaining).without(next);
+	}
+	callback(null, { order: order, deferred: deferred });
+};
+
+/*
+ * Lists the foreign keys of a table as { name, parent, nullable } objects,
+ * where parent is the name of the referenced table
+ */
+function links(table) {
+	var fields = names(table)
+		.filter(function (name) {
+			return !!table[name].references;
+		})
+		.map(function (name) {
+			return {
+				name: name,
+				parent: table[name].references.$table.$name,
+				nullable: !!table[name].nullable
+			};
+		});
+	var relations = _(table.$references || {}).map(function (relation) {
+		return {
+			name: relation.$name,
+			parent: relation.references[0].$table.$name,
+			nullable: _(relation.columns).every(function (col) {
+				return !!table[col].nullable;
+			})
+		};
+	});
+	return fields.concat(relations);
+}
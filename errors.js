@@ -0,0 +1,310 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var util = require('util');
+var _ = require('underscore');
+
+var utils = require('./utils');
+
+// errors
+// ======
+// Error classes for failures which callers may want to handle, exported by
+// index.js.
+//
+//     orm.save(orm.schema.users, user, function (err) {
+//       if (err instanceof mysql_orm.UniqueViolationError) {
+//         console.log('Taken: ' + err.fields.join(', '));
+//       }
+//     });
+//
+// Errors from MySQL which are mapped to these classes keep the `code`, `errno`
+// and `sqlState` of the original error, which is stored in `cause`.  Other
+// MySQL errors are passed on unchanged.
+//
+
+/* Initializes an error object */
+function init(error, ctor, name, message) {
+	Error.call(error);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(error, ctor);
+	}
+	error.name = name;
+	error.message = message;
+}
+
+/* Copies the identification of a MySQL error */
+function caused_by(error, cause) {
+	error.cause = cause;
+	error.code = cause.code;
+	error.errno = cause.errno;
+	error.sqlState = cause.sqlState;
+}
+
+// NotFoundError
+// -------------
+// No row matched the criteria of an operation which needs one (e.g. load,
+// delete, lookupForeignId or saving an existing row).
+//
+//  + table - Name of the table
+//  + criteria - The search criteria
+//
+module.exports.NotFoundError = NotFoundError;
+function NotFoundError(table, criteria, message) {
+	init(this, NotFoundError, 'NotFoundError', message || 'Item not found');
+	this.table = table.$name;
+	this.criteria = criteria;
+}
+util.inherits(NotFoundError, Error);
+
+// MultipleRowsError
+// -----------------
+// Several rows matched the criteria of an operation which needs only one.
+//
+//  + table - Name of the table
+//  + criteria - The search criteria
+//
+module.exports.MultipleRowsError = MultipleRowsError;
+function MultipleRowsError(table, criteria, message) {
+	init(this, MultipleRowsError, 'MultipleRowsError',
+		message || 'Multiple items matched');
+	this.table = table.$name;
+	this.criteria = criteria;
+}
+util.inherits(MultipleRowsError, Error);
+
+// VersionConflictError
+// --------------------
+// An existing row was not saved because its version (see `$version` in
+// index.js) is not the one given, as it was changed (or deleted) since it was
+// read.
+//
+//  + table - Name of the table
+//  + criteria - The primary key of the row
+//  + version - The version which was given
+//
+module.exports.VersionConflictError = VersionConflictError;
+function VersionConflictError(table, criteria, version) {
+	init(this, VersionConflictError, 'VersionConflictError',
+		'Row of ' + table.$fullname + ' with key ' + JSON.stringify(criteria) +
+		' is no longer at version ' + version);
+	this.table = table.$name;
+	this.criteria = criteria;
+	this.version = version;
+}
+util.inherits(VersionConflictError, Error);
+
+// UniqueViolationError
+// --------------------
+// A row could not be saved because it duplicates a unique key (ER_DUP_ENTRY).
+//
+//  + table - Name of the table, if known
+//  + key - Name of the key (`PRIMARY` for the primary key)
+//  + fields - Names of the fields of the key, if it is in the schema
+//  + value - The duplicated value, as reported by MySQL
+//
+module.exports.UniqueViolationError = UniqueViolationError;
+function UniqueViolationError(cause, table, key, fields, value) {
+	init(this, UniqueViolationError, 'UniqueViolationError', cause.message);
+	caused_by(this, cause);
+	this.table = table ? table.$name : null;
+	this.key = key;
+	this.fields = fields;
+	this.value = value;
+}
+util.inherits(UniqueViolationError, Error);
+
+// ForeignKeyViolationError
+// ------------------------
+// A row references a parent row which does not exist
+// (ER_NO_REFERENCED_ROW_2), or a row which is referenced could not be deleted
+// or updated (ER_ROW_IS_REFERENCED_2).
+//
+//  + table - Name of the child table, if known
+//  + constraint - Name of the foreign key constraint
+//  + field - Name of the foreign key field (or relation) in the child table
+//  + references - Name of the parent table
+//  + referenced - true if the row is referenced by others, false if the
+//    parent row is missing
+//
+module.exports.ForeignKeyViolationError = ForeignKeyViolationError;
+function ForeignKeyViolationError(cause, constraint, field) {
+	init(this, ForeignKeyViolationError, 'ForeignKeyViolationError',
+		cause.message);
+	caused_by(this, cause);
+	this.constraint = constraint;
+	this.table = field ? field.$table.$name : null;
+	this.field = field ? field.$name : null;
+	this.references = field ?
+		(field.$type === 'relation' ? field.references[0] : field.references)
+			.$table.$name : null;
+	this.referenced = cause.code === 'ER_ROW_IS_REFERENCED_2';
+}
+util.inherits(ForeignKeyViolationError, Error);
+
+// DeadlockError
+// -------------
+// The transaction was rolled back by MySQL to resolve a deadlock
+// (ER_LOCK_DEADLOCK).  The whole transaction may be retried.
+//
+module.exports.DeadlockError = DeadlockError;
+function DeadlockError(cause) {
+	init(this, DeadlockError, 'DeadlockError', cause.message);
+	caused_by(this, cause);
+}
+util.inherits(DeadlockError, Error);
+
+// LockWaitTimeoutError
+// --------------------
+// A statement gave up waiting for a row lock held by another transaction
+// (ER_LOCK_WAIT_TIMEOUT).  The transaction may be retried.
+//
+module.exports.LockWaitTimeoutError = LockWaitTimeoutError;
+function LockWaitTimeoutError(cause) {
+	init(this, LockWaitTimeoutError, 'LockWaitTimeoutError', cause.message);
+	caused_by(this, cause);
+}
+util.inherits(LockWaitTimeoutError, Error);
+
+// LockNotAvailableError
+// ---------------------
+// Rows could not be locked at once by a statement with the `nowait` option
+// (ER_LOCK_NOWAIT), see sql.lock.
+//
+module.exports.LockNotAvailableError = LockNotAvailableError;
+function LockNotAvailableError(cause) {
+	init(this, LockNotAvailableError, 'LockNotAvailableError', cause.message);
+	caused_by(this, cause);
+}
+util.inherits(LockNotAvailableError, Error);
+
+// ValidationError
+// ---------------
+// Rows failed validation (see validate.js).  Nothing was saved.
+//
+//  + errors - Array of the failures, each of the form
+//    `{ row, field, rule, message, value }`, where row is the index of the
+//    row in the rows being saved
+//
+module.exports.ValidationError = ValidationError;
+function ValidationError(table, errors) {
+	var shown = errors.slice(0, 5).map(function (error) {
+		return 'row ' + error.row + ': ' + error.message;
+	});
+	if (errors.length > shown.length) {
+		shown.push('and ' + (errors.length - shown.length) + ' more');
+	}
+	init(this, ValidationError, 'ValidationError', 'Validation failed for ' +
+		table.$fullname + ': ' + shown.join('; '));
+	this.table = table.$name;
+	this.errors = errors;
+}
+util.inherits(ValidationError, Error);
+
+// from_mysql
+// ----------
+// Converts an error from the MySQL driver to one of the classes above where
+// possible, using the schema to name the fields of keys.
+//
+//  + orm - The ORM
+//  + err - The error from the driver
+//  + sql - The statement which failed, used to tell which table a duplicate
+//    key belongs to
+//
+module.exports.from_mysql = function (orm, err, sql) {
+	if (!err || !err.code) {
+		return err;
+	}
+	if (err.code === 'ER_LOCK_DEADLOCK') {
+		return new DeadlockError(err);
+	}
+	if (err.code === 'ER_LOCK_WAIT_TIMEOUT') {
+		return new LockWaitTimeoutError(err);
+	}
+	/* Not known to older versions of the driver */
+	if (err.code === 'ER_LOCK_NOWAIT' || err.errno === 3572) {
+		return new LockNotAvailableError(err);
+	}
+	if (err.code === 'ER_DUP_ENTRY') {
+		return unique_violation(orm, err, sql);
+	}
+	if (err.code === 'ER_NO_REFERENCED_ROW_2' ||
+		err.code === 'ER_ROW_IS_REFERENCED_2') {
+		var match = String(err.message).match(/CONSTRAINT `([^`]+)`/);
+		var constraint = match ? match[1] : null;
+		return new ForeignKeyViolationError(err, constraint,
+			constraint ? foreign_key_field(orm, constraint) : null);
+	}
+	return err;
+};
+
+/*
+ * Maps ER_DUP_ENTRY (message of the form "Duplicate entry 'x' for key
+ * 'name'", where MySQL 8 qualifies the name with the table) to the table and
+ * fields of the key
+ */
+function unique_violation(orm, err, sql) {
+	var match = String(err.message)
+		.match(/Duplicate entry '([\s\S]*)' for key '([^']+)'/);
+	var value = match ? match[1] : null;
+	var key = match ? match[2] : null;
+	var tableName = null;
+	if (key && key.indexOf('.') !== -1) {
+		tableName = key.substring(0, key.lastIndexOf('.'));
+		key = key.substring(key.lastIndexOf('.') + 1);
+	}
+	else {
+		/* The table being written to */
+		var target = String(sql)
+			.match(/^\s*(?:INSERT\s+INTO|UPDATE)\s+`([^`]+)`/i);
+		tableName = target ? target[1] : null;
+	}
+	var table = tableName && _(orm.schema).has(tableName) &&
+		tableName.charAt(0) !== '$' ? orm.schema[tableName] : null;
+	var fields = null;
+	if (table && key === 'PRIMARY') {
+		fields = table.$primary;
+	}
+	else if (table) {
+		var index = _(table.$unique).findWhere({ name: key });
+		if (index) {
+			fields = _(index.columns).pluck('name');
+		}
+		else {
+			fields = utils.names(table).filter(function (name) {
+				return table[name].unique === key;
+			});
+			fields = fields.length ? fields : null;
+		}
+	}
+	return new UniqueViolationError(err, table, key, fields, value);
+}
+
+/* Finds the foreign key field (or relation) which has the given constraint */
+function foreign_key_field(orm, constraint) {
+	var found = null;
+	utils.names(orm.schema).forEach(function (tableName) {
+		var table = orm.schema[tableName];
+		utils.names(table).forEach(function (name) {
+			if (table[name].$fkname === constraint) {
+				found = table[name];
+			}
+		});
+		_(table.$references || {}).each(function (relation) {
+			if (relation.$fkname === constraint) {
+				found = relation;
+			}
+		});
+	});
+	return found;
+}
@@ -16,7 +16,9 @@ var _ = require('underscore');
 var async = require('async');
 
 var utils = require('./utils');
+var errors = require('./errors');
 var sql = require('./sql');
+var softDelete = require('./soft-delete');
 
 var names = utils.names;
 var parse_args = utils.parse_args;
@@ -58,13 +60,26 @@ ORM.prototype.listForeignKeys = function (table) {
 // 
 // Looks up the id of the parent record, identified by search criteria. Returns
 // an error if no or if multiple parent records are found.  In such a case, the
-// second callback paremeter is zero or two for no or multiple records found.
+// second callback paremeter is zero or two for no or multiple records found,
+// and the error is a NotFoundError or MultipleRowsError (see errors.js).
+// 
+// The field may also be a composite foreign key (a relation from the table's
+// `$references`), in which case the id is an object containing the values of
+// the columns of the foreign key, e.g. `{ order_id: 12, order_version: 3 }`.
 // 
 // ### Example
 // 
 //     lookupForeignKey(schema.users.country, { name: 'Estonia' },
 //       function (err, value) { ... });
 // 
+//     lookupForeignKey(schema.order_lines.$references.order,
+//       { number: 1234 }, function (err, value) { ... });
+// 
+//  + options
+//     + lock, nowait, skipLocked - Lock the parent row until the end of the
+//       transaction, see sql.lock
+//     + withDeleted - Also find soft-deleted parent rows, see soft-delete.js
+// 
 ORM.prototype.lookupForeignId = function () {
 	var args = parse_args(this, arguments, true);
 	var query = args.query;
@@ -73,27 +88,41 @@ ORM.prototype.lookupForeignId = function () {
 	var options = args.options;
 	var callback = args.callback;
 	var self = this;
-	var foreign = field.references;
+	var relation = field.$type === 'relation';
+	var foreign = relation ? field.references : [field.references];
 	async.parallel([
-			async.apply(sql.select, this, [foreign.$name]),
-			async.apply(sql.from, this, foreign.$table),
-			async.apply(sql.where, this, query, foreign.$table, criteria),
-			async.apply(sql.limit, this, { count: 2 })
+			async.apply(sql.select, this, _(foreign).pluck('$name')),
+			async.apply(sql.from, this, foreign[0].$table),
+			async.apply(sql.where, this, query, foreign[0].$table,
+				softDelete.criteria(foreign[0].$table, criteria, options)),
+			async.apply(sql.limit, this, { count: 2 }),
+			async.apply(sql.lock, this, query, options)
 		],
 		function (err, sqlParts) {
+			if (err) {
+				return callback(err);
+			}
 			query(_(sqlParts).compact().join('\n'), null, function (err, rows) {
 				if (err) {
 					self.warn('Error occurred while looking up foreign id');
 					return callback(err);
 				}
 				if (rows.length !== 1) {
-					return callback(new Error(self.warn(
+					var Err = rows.length > 1 ? errors.MultipleRowsError :
+						errors.NotFoundError;
+					return callback(new Err(foreign[0].$table, criteria, self.warn(
 								(rows.length > 1 ? 'Multiple' : 'No') +
 								' foreign ids found')),
 								rows.length);
 				}
 				var row = rows[0];
-				callback(null, row[foreign.$name]);
+				if (relation) {
+					return callback(null, _.object(field.columns,
+						foreign.map(function (ref) {
+							return row[ref.$name];
+						})));
+				}
+				callback(null, row[foreign[0].$name]);
 			});
 		});
 };
@@ -121,6 +150,18 @@ ORM.prototype.lookupForeignId = function () {
 // 
 //     // value.country = 372, value.role = <some id value>
 // 
+//  + options
+//     + cols - Names of the foreign key fields to look up, defaults to all
+//     + cache - An object in which to remember the ids found for each distinct
+//       search criteria, so that rows sharing criteria (e.g. when saving many
+//       rows) only look them up once.  Pass the same object for each row.
+//     + lock, nowait, skipLocked, withDeleted - See lookupForeignId
+// 
+// Composite foreign keys (see `$references` in parse-schema.js) are given in
+// the row under the name of the relation, as search criteria or null.  The
+// columns of the foreign key are set from the parent row that is found, and
+// the property named after the relation is removed from the row.
+// 
 ORM.prototype.lookupForeignIds = function () {
 	var args = parse_args(this, arguments);
 	var query = args.query;
@@ -129,9 +170,15 @@ ORM.prototype.lookupForeignIds = function () {
 	var callback = args.callback;
 	var options = args.options;
 	var self = this;
-	var cols = options.cols || this.listForeignKeys(table);
+	var cols = options.cols ||
+		this.listForeignKeys(table).concat(utils.relations(table));
 	async.each(cols,
 		function (col, callback) {
+			var relation = (table.$references || {})[col];
+			if (relation) {
+				return lookupRelationIds(self, query, options, relation, row,
+					callback);
+			}
 			var field = table[col];
 			if (!field) {
 				throw new Error('Field "' + col + '" not found in table "' +
@@ -141,7 +188,7 @@ ORM.prototype.lookupForeignIds = function () {
 			if (!_(value).isObject()) {
 				return callback(null);
 			}
-			self.lookupForeignId(query, field, value, function (err, res) {
+			lookupId(self, query, options, field, value, function (err, res) {
 				if (err) {
 					return callback(err);
 				}
@@ -154,10 +201,82 @@ ORM.prototype.lookupForeignIds = function () {
 		});
 };
 
+/*
+ * Sets the columns of a composite foreign key in a row from the criteria or
+ * null given under the name of the relation
+ */
+function lookupRelationIds(self, query, options, relation, row, callback) {
+	if (!_(row).has(relation.$name)) {
+		return callback(null);
+	}
+	var value = row[relation.$name];
+	delete row[relation.$name];
+	if (_(value).isUndefined()) {
+		return callback(null);
+	}
+	if (_(value).isNull()) {
+		relation.columns.forEach(function (col) {
+			row[col] = null;
+		});
+		return callback(null);
+	}
+	if (!_(value).isObject()) {
+		return callback(new Error('Value for ' + relation.$fullname + ' must ' +
+			'be search criteria for the parent row, or null'));
+	}
+	lookupId(self, query, options, relation, value, function (err, ids) {
+		if (err) {
+			return callback(err);
+		}
+		_(row).extend(ids);
+		callback(null);
+	});
+}
+
+/*
+ * Calls lookupForeignId, or if a cache object is given, looks up each distinct
+ * field and criteria once and remembers the result (or error)
+ */
+function lookupId(self, query, options, field, criteria, callback) {
+	var cache = options.cache;
+	var lookupOptions = _(options)
+		.pick('lock', 'nowait', 'skipLocked', 'withDeleted');
+	if (!cache) {
+		return self.lookupForeignId(query, field, criteria, lookupOptions,
+			callback);
+	}
+	var key = field.$fullname + ' ' + JSON.stringify(criteria);
+	var entry = cache[key];
+	if (!entry) {
+		entry = cache[key] = { done: false, callbacks: [] };
+		self.lookupForeignId(query, field, criteria, lookupOptions, function (err, id) {
+			entry.done = true;
+			entry.err = err;
+			entry.id = id;
+			entry.callbacks.forEach(function (callback) {
+				callback(err, id);
+			});
+			entry.callbacks = null;
+		});
+	}
+	if (entry.done) {
+		return callback(entry.err, entry.id);
+	}
+	entry.callbacks.push(callback);
+}
+
 // lookupForeignValue([query] field id [options] callback)
 // ----------------
 // Get the data corresponding to a given ID value in a foreign key ralationship
 //
+// The options are passed to load, so `options.lookup` specifies which foreign
+// keys of the parent row are looked up in turn.  Soft-deleted parent rows are
+// found unless `withDeleted: false` is given, as the reference still exists.
+//
+// For a composite foreign key (a relation from the table's `$references`), the
+// id is an object containing the values of the columns of the foreign key, as
+// given by lookupForeignId.
+//
 ORM.prototype.lookupForeignValue = function () {
 	var args = parse_args(this, arguments, true);
 	var query = args.query;
@@ -166,8 +285,19 @@ ORM.prototype.lookupForeignValue = function () {
 	var callback = args.callback;
 	var options = args.options;
 	var self = this;
-	var foreign = field.references;
-	var criteria = _.object([foreign.$name], [id]);
+	var foreign, criteria;
+	if (field.$type === 'relation') {
+		foreign = field.references[0];
+		criteria = _.object(_(field.references).pluck('$name'),
+			field.columns.map(function (col) {
+				return id[col];
+			}));
+	}
+	else {
+		foreign = field.references;
+		criteria = _.object([foreign.$name], [id]);
+	}
+	options = _({ withDeleted: true }).extend(options);
 	this.load(query, foreign.$table, criteria, options, function (err, res) {
 		if (err) {
 			self.warn('Error occurred while looking up foreign row');
@@ -183,6 +313,15 @@ ORM.prototype.lookupForeignValue = function () {
 // Uses lookupForeignValue to get data for fields which have foreign key
 // relationships
 //
+//  + options
+//     + cols - Names of the foreign key fields to look up, defaults to all
+//     + lookup - Which foreign keys to look up, and how deep, see loadMany
+//     + lock, nowait, skipLocked - Lock the parent rows, see loadMany
+//
+// The parent row of a composite foreign key (see `$references` in
+// parse-schema.js) is stored under the name of the relation, unless any of
+// its columns is null.
+//
 ORM.prototype.lookupForeignValues = function () {
 	var args = parse_args(this, arguments);
 	var query = args.query;
@@ -190,15 +329,32 @@ ORM.prototype.lookupForeignValues = function () {
 	var row = args.data;
 	var callback = args.callback;
 	var options = args.options;
-	var cols = options.cols || this.listForeignKeys(table);
+	var cols = options.cols ||
+		this.listForeignKeys(table).concat(utils.relations(table));
 	var self = this;
 	async.each(cols,
 		function (col, callback) {
-			var field = table[col], id = row[col], foreign = field.references;
-			if (_(id).isNull() || _(id).isObject()) {
+			var relation = (table.$references || {})[col];
+			var field = relation || table[col];
+			var lookup = utils.lookup_child(options.lookup, col);
+			var id = row[col];
+			if (relation) {
+				id = _(row).pick(relation.columns);
+				if (_(row[col]).isObject() || _(relation.columns).some(
+						function (name) {
+							return _(row[name]).isNull() ||
+								_(row[name]).isUndefined();
+						})) {
+					id = null;
+				}
+			}
+			if (_(id).isNull() || (!relation && _(id).isObject()) ||
+				lookup === null) {
 				return callback(null);
 			}
-			self.lookupForeignValue(query, field, id, options, function (err, res) {
+			var valueOptions = _({ lookup: lookup })
+				.extend(_(options).pick('lock', 'nowait', 'skipLocked'));
+			self.lookupForeignValue(query, field, id, valueOptions, function (err, res) {
 				if (err) {
 					return callback(err);
 				}
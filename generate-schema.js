@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan, <mark@battlesnake.co.uk>
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+// generate-schema
+// ===============
+// Generates a schema from the tables of an existing database and writes it to
+// a file, see `introspect` in index.js.
+//
+//     generate-schema.js user password database output-file [table ...]
+//
+// The output file is written as JSON if its name ends in `.json`, otherwise
+// as a node module exporting the schema.  If tables are listed, only those
+// tables are read.
+//
+// The MySQL server is given by the MYSQL_HOST and MYSQL_PORT environment
+// variables, defaulting to localhost.
+//
+
+var fs = require('fs');
+
+var mysql_orm = require('./');
+
+var args = process.argv.slice(2);
+
+if (args.length < 4) {
+	console.error('Usage: generate-schema.js user password database ' +
+		'output-file [table ...]');
+	process.exit(2);
+}
+
+var options = {
+	database: args[2],
+	mysql: {
+		host: process.env.MYSQL_HOST || 'localhost',
+		port: process.env.MYSQL_PORT || 3306,
+		user: args[0],
+		password: args[1]
+	},
+	tables: args.length > 4 ? args.slice(4) : null
+};
+var filename = args[3];
+
+mysql_orm.introspect(options, function (err, schema) {
+	if (err) {
+		console.error('Failed to read database "' + options.database + '": ' +
+			err.message);
+		return process.exit(1);
+	}
+	var json = JSON.stringify(schema, null, '\t');
+	var output = /\.json$/i.test(filename) ? json + '\n' :
+		'\'use strict\';\n\nmodule.exports = ' + json + ';\n';
+	fs.writeFile(filename, output, function (err) {
+		if (err) {
+			console.error('Failed to write "' + filename + '": ' + err.message);
+			return process.exit(1);
+		}
+		console.log('Wrote schema of ' + Object.keys(schema).length +
+			' tables to ' + filename);
+	});
+});
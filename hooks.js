@@ -0,0 +1,142 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+
+// hooks
+// =====
+// Lifecycle hooks, called when rows are saved, deleted and loaded
+//
+// Hooks are given for a table by `$hooks` in its definition, and for all
+// tables by the `hooks` option of the ORM.  Each hook is a function, or an
+// array of functions which are called in order:
+//
+//     hook(row, context, callback)
+//
+//  + row - The row being saved or loaded, or the criteria of a delete
+//  + context
+//     + orm - The ORM
+//     + table - The table definition
+//     + query - The query function of the operation, so that a hook can run
+//       queries in the same transaction
+//     + options - The options passed to the operation
+//  + callback - (err) - Passing an error aborts the operation, which fails
+//    with that error.  Rows which were already saved by saveMultipleTables are
+//    rolled back, other operations are not wrapped in a transaction.
+//
+// The hooks are:
+//  + beforeSave - Called by save and saveMany (and row.save) for each row,
+//    before foreign keys are looked up.  The row may be modified.
+//  + afterSave - Called for each row once it has been saved.  The
+//    auto-increment field of a new row is set.
+//  + beforeDelete - Called by delete and deleteMany with the criteria of the
+//    rows to delete.
+//  + afterLoad - Called by load and loadMany for each row returned.  Changes
+//    to the row are not marked as dirty (see model.js).
+//
+// ORM-wide hooks are called before the hooks of the table.  Pass the option
+// `hooks: false` to an operation to skip its hooks.
+//
+// ### Example
+//
+//     users: {
+//       $hooks: {
+//         beforeSave: function (row, context, callback) {
+//           if (_(row).has('username')) {
+//             row.username = row.username.toLowerCase();
+//           }
+//           callback(null);
+//         }
+//       },
+//       username: 'string,unique',
+//       ...
+//     }
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+var hookNames = ['beforeSave', 'afterSave', 'beforeDelete', 'afterLoad'];
+
+// parse_hooks
+// -----------
+// Validates a set of hooks and normalizes each one to an array of functions
+//
+//  + orm - The ORM
+//  + hooks - The hooks, e.g. `table.$hooks` (may be undefined)
+//  + owner - Description of where the hooks were given, for errors
+//
+module.exports.parse_hooks = function (orm, hooks, owner) {
+	var res = {};
+	_(hooks || {}).each(function (fns, name) {
+		if (!_(hookNames).contains(name)) {
+			return orm.error('Unknown hook "' + name + '" in ' + owner +
+				', expected one of ' + hookNames.join(', '));
+		}
+		fns = _(fns).isArray() ? fns : [fns];
+		if (!_(fns).every(_.isFunction)) {
+			return orm.error('Hook "' + name + '" in ' + owner +
+				' must be a function or an array of functions');
+		}
+		res[name] = fns;
+	});
+	return res;
+};
+
+// run_hooks
+// ---------
+// Calls the hooks of the given name for each of the rows, in series
+//
+//  + orm - The ORM
+//  + table - The table definition
+//  + name - Name of the hook, e.g. 'beforeSave'
+//  + rows - Array of rows (or criteria) to pass to the hooks
+//  + query - The query function of the operation
+//  + options - The options of the operation
+//  + callback - (err)
+//
+module.exports.run_hooks = function (orm, table, name, rows, query, options,
+		callback) {
+	var fns = hooks_for(orm, table, name, options);
+	if (!fns.length || !rows.length) {
+		return callback(null);
+	}
+	var context = { orm: orm, table: table, query: query, options: options };
+	async.eachSeries(rows,
+		function (row, callback) {
+			async.eachSeries(fns,
+				function (fn, callback) {
+					fn.call(orm, row, context, function (err) {
+						/* Hooks are often synchronous, so unwind the stack */
+						async.setImmediate(function () {
+							callback(err || null);
+						});
+					});
+				},
+				callback);
+		},
+		callback);
+};
+
+/* The ORM-wide and table hooks of the given name */
+function hooks_for(orm, table, name, options) {
+	if (options && options.hooks === false) {
+		return [];
+	}
+	return ((orm.hooks || {})[name] || [])
+		.concat((table.$hooks || {})[name] || []);
+}
@@ -16,6 +16,7 @@ var async = require('async');
 var _ = require('underscore');
 
 var utils = require('./utils');
+var errors = require('./errors');
 
 // mysql-orm
 // =========
@@ -33,10 +34,60 @@ var utils = require('./utils');
 //       ...
 //     });
 // 
+// If no callback is given, a Promise of the ORM instance is returned instead,
+// unless `options.skipChecks` is set, in which case the ORM instance is
+// returned synchronously as before.
+// 
+//     var orm = await mysqlOrm.create(schema, data, options);
+// 
 module.exports.create = function (schema, defaultdata, options, onready) {
+	if (!onready && !(options && options.skipChecks)) {
+		return new Promise(function (resolve, reject) {
+			new ORM(schema, defaultdata, options, function (err, orm) {
+				if (err) {
+					return reject(err);
+				}
+				resolve(orm);
+			});
+		});
+	}
 	return new ORM(schema, defaultdata, options, onready);
 };
 
+// exports.introspect
+// ------------------
+// Generates a schema from the tables of an existing database, for putting an
+// existing database behind the ORM.  The schema is in the format described
+// below, and can be passed to `create`.
+//
+//  + options
+//    + database - Name of the database
+//    + mysql - MySQL connection parameters (felixge/node-mysql)
+//    + tables - Optional array of names of tables to read, all tables in the
+//      database are read by default.  Foreign keys referencing other tables
+//      are left as plain columns.
+//  + callback - (err, schema)
+//
+// If no callback is given, a Promise of the schema is returned instead.  See
+// also the generate-schema.js command, which writes the schema to a file.
+//
+//     mysqlOrm.introspect({ database: 'legacy', mysql: { ... } },
+//       function (err, schema) { ... });
+//
+module.exports.introspect = utils.promisify(function (options, callback) {
+	var connection = mysql.createConnection(
+		_({}).extend(options.mysql, { database: options.database }));
+	var query = function (sql, params, callback) {
+		connection.query(sql, params, callback);
+	};
+	Internal.introspect(query, options.database, options.tables || null,
+		function (err, schema) {
+			connection.end(function () {
+				callback(err || null, err ? undefined : schema);
+			});
+		});
+});
+
 // names
 // -----
 // Returns an array of names of properties of the object excluding names that
@@ -45,6 +96,33 @@ module.exports.names = function (obj) {
 	return utils.names(obj);
 };
 
+// Error classes
+// -------------
+// The errors returned by the ORM for failures which callers may want to
+// handle, see errors.js.
+//
+//  + NotFoundError - No row matched (load, delete, foreign key lookups)
+//  + MultipleRowsError - Several rows matched where one was expected
+//  + VersionConflictError - A row was changed by someone else since it was
+//    read, see `$version` below
+//  + UniqueViolationError - Duplicate value for a unique key
+//  + ForeignKeyViolationError - Missing parent row, or deleting a referenced
+//    row
+//  + ValidationError - Rows failed validation, see validate.js
+//  + DeadlockError - The transaction was rolled back to resolve a deadlock
+//  + LockWaitTimeoutError - Timed out waiting for a lock held by another
+//    transaction
+//  + LockNotAvailableError - Rows could not be locked with the nowait option
+//
+[
+	'NotFoundError', 'MultipleRowsError', 'VersionConflictError',
+	'UniqueViolationError', 'ForeignKeyViolationError',
+	'ValidationError', 'DeadlockError', 'LockWaitTimeoutError',
+	'LockNotAvailableError'
+].forEach(function (name) {
+	module.exports[name] = errors[name];
+});
+
 
 // ORM constructor
 // ---------------
@@ -62,6 +140,16 @@ module.exports.names = function (obj) {
 //      3. Debugging info and level 2
 //    + recreateDatabase - Drop the database and recreate it **DANGER**
 //    + recreateTables - Drop tables and recreate them **DANGER**
+//    + migrate - Alter existing tables to match the schema after creating any
+//      missing ones.  Either true, or an object of options for ORM.migrate
+//      (e.g. `{ drop: true }` to also drop columns and keys which are no
+//      longer in the schema)
+//    + syncData - Sync the tables with `defaultdata` at startup when they are
+//      not recreated, inserting and updating rows by their natural key (see
+//      `$naturalKey` below and ORM.syncData).  Either true, or an object of
+//      options for ORM.syncData (e.g. `{ remove: true }`)
+//    + hooks - Lifecycle hooks for all tables, e.g. `{ beforeSave: fn }`.
+//      See `$hooks` below and hooks.js.
 //    + skipChecks - Don't check existence of database and tables (causes
 //      recreate* params to be ignored), don't initialise database, onready is
 // 
@@ -121,6 +209,15 @@ module.exports.names = function (obj) {
 //     table-definition = {
 //       [ $primary: field-list, ]    // Not implemented yet
 //       [ $sort: field-list, ]
+//       [ $indexes: index-list, ]
+//       [ $unique: index-list, ]
+//       [ $references: { relation-name: relation-definition, ... }, ]
+//       [ $naturalKey: field-list, ]    // Identifies rows for syncData
+//       [ $hooks: { hook-name: function | [function, ...], ... }, ]
+//       [ $version: 'field-name', ]    // Optimistic locking, see below
+//       [ $softDelete: 'field-name', ]    // See soft-delete.js
+//       [ $timestamps: true | { created: 'field-name' | false,
+//           updated: 'field-name' | false }, ]    // See below
 //       field: field-definition,
 //       field: field-definition,
 //       ...
@@ -138,7 +235,14 @@ module.exports.names = function (obj) {
 //       [ default: value ],
 //       [ onDelete: reference-option ],
 //       [ onUpdate: reference-option ],
-//       [ references: field-definition | table-name ]    // Not tested yet
+//       [ references: field-definition | table-name ],    // Not tested yet
+//       [ required: boolean ],
+//       [ maxLength: number ],
+//       [ min: value ],
+//       [ max: value ],
+//       [ pattern: regexp ],
+//       [ enum: [value, value, ...] ],
+//       [ validate: function | [function, ...] ]    // See validate.js
 //     }
 // 
 // #### Types
@@ -155,10 +259,60 @@ module.exports.names = function (obj) {
 // 
 //     field-list = 'field-name' | ['field-name', 'field-name', ...]
 // 
+// #### Table-level indexes and unique keys
+// 
+// For indexes over several columns, prefix lengths, descending order and
+// FULLTEXT indexes.  Names are generated from the column names if an array is
+// given, e.g. `user_title_uniq`.
+// 
+//     index-list = { index-name: index-definition, ... } | [index-definition, ...]
+// 
+//     index-definition = [column, column, ...] |
+//       { columns: [column, column, ...], type: 'fulltext' }
+// 
+//     column = 'field-name' | '-field-name' | 'field-name(length)' |
+//       { name: field-name, length: prefix-length, order: 'asc' | 'desc' }
+// 
+//     $unique: { user_title: ['user', 'title'] }
+//     $indexes: [['-date', 'title(16)'], { columns: ['content'], type: 'fulltext' }]
+// 
+// #### Composite foreign keys
+// 
+// Foreign keys over several columns, e.g. referencing a composite primary
+// key.  A table name references the primary key of that table.  The parent
+// row is looked up under the relation name, which is also used for search
+// criteria on the parent row, e.g. `{ order: { number: 1234 } }`.
+// 
+//     relation-definition = {
+//       columns: ['field-name', 'field-name', ...],
+//       references: 'table-name' | ['table-name.field-name', ...],
+//       [ onDelete: reference-option ],
+//       [ onUpdate: reference-option ]
+//     }
+// 
 // #### Reference option
 // 
 //     reference-option = 'set null' | 'cascade' | 'ignore'
 // 
+// #### Timestamps
+// 
+// `$timestamps: true` adds `created_at` and `updated_at` columns to a table,
+// which MySQL sets when a row is created and whenever it is updated
+// (`DEFAULT CURRENT_TIMESTAMP` and `ON UPDATE CURRENT_TIMESTAMP`).  Give an
+// object to name the columns differently, or false to leave one out.  Columns
+// which the table defines itself are used as they are.  save and saveMany
+// never overwrite the created timestamp of an existing row.
+// 
+// #### Version column
+// 
+// `$version` names a column holding the version of each row, which is created
+// as `INTEGER DEFAULT 1` if the table does not define it.  It is incremented
+// whenever the row is updated by the ORM.  When an existing row is saved with
+// its version given (with `save: 'existing'`, or by row.save()), it is only
+// updated if its version is still the one given, else a VersionConflictError
+// is returned.  So of two editors who read the same version of a row, the
+// second to save it fails instead of overwriting the changes of the first.
+// 
 // 
 function ORM(schema, defaultdata, options, onready) {
 	var self = this;
@@ -179,10 +333,12 @@ function ORM(schema, defaultdata, options, onready) {
 		throw new Error('Compulsory option (lol) `mysql` not specified');
 	}
 	this.database = options.database;
-	this.schema = JSON.parse(JSON.stringify(schema));
+	this.schema = utils.clone(schema);
 	this.types = schema.$types;
+	this.hooks = Internal.parse_hooks(this, options.hooks, 'ORM options');
 	Internal.initialise_schema(this);
 	Internal.parse_schema(this);
+	Internal.define_models(this);
 	var createConnectionPool = function () {
 		options.mysql.database = options.database;
 		self.connection = mysql.createPool(options.mysql);
@@ -226,17 +382,43 @@ function ORM(schema, defaultdata, options, onready) {
 			},
 			/* Create tables and initialize data */
 			async.apply(Internal.create_tables, self, options.recreateTables),
+			/* Migrate existing tables */
+			function (callback) {
+				if (!options.migrate) {
+					return callback(null);
+				}
+				self.migrate(_(options.migrate).isObject() ? options.migrate : {},
+					function (err) {
+						callback(err || null);
+					});
+			},
 			function (callback) {
 				if (defaultdata && (options.recreateTables || options.recreateDatabase)) {
 					return self.saveMultipleTables(defaultdata, callback);
 				}
+				if (defaultdata && options.syncData) {
+					return self.syncData(defaultdata,
+						_(options.syncData).isObject() ? options.syncData : {},
+						function (err, counts) {
+							if (err) {
+								return callback(err);
+							}
+							_(counts).each(function (count, tableName) {
+								self.info('Synced ' + tableName + ': ' +
+									count.inserted + ' inserted, ' +
+									count.updated + ' updated, ' +
+									count.removed + ' removed');
+							});
+							callback(null);
+						});
+				}
 				callback(null);
 			}
 		],
 		function (err) {
 			self.ready = true;
 			if (_(onready).isFunction()) {
-				onready(null, self);
+				onready(err || null, self);
 			}
 		});
 }
@@ -258,11 +440,34 @@ _(ORM.prototype).extend(require('./transaction'));
 _(ORM.prototype).extend(require('./foreign-keys'));
 _(ORM.prototype).extend(require('./save'));
 _(ORM.prototype).extend(require('./load'));
+_(ORM.prototype).extend(require('./aggregate'));
 _(ORM.prototype).extend(require('./delete'));
+_(ORM.prototype).extend(require('./migrate'));
+_(ORM.prototype).extend(require('./sync'));
+
+/*
+ * Public methods which take a callback return a Promise when they are called
+ * without one
+ */
+[
+	'beginTransaction',
+	'lookupForeignId', 'lookupForeignIds',
+	'lookupForeignValue', 'lookupForeignValues',
+	'save', 'saveMany', 'saveMultipleTables',
+	'load', 'loadMany',
+	'count', 'aggregate',
+	'delete', 'deleteMany', 'restore',
+	'migrate', 'syncData'
+].forEach(function (name) {
+	ORM.prototype[name] = utils.promisify(ORM.prototype[name]);
+});
 
 var Internal = {};
 _(Internal).extend(require('./autogen'));
 _(Internal).extend(require('./initialise-schema'));
 _(Internal).extend(require('./parse-schema'));
+_(Internal).extend(require('./introspect'));
+_(Internal).extend(require('./model'));
+_(Internal).extend(require('./hooks'));
 
 
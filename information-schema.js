@@ -0,0 +1,249 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+// information-schema
+// ==================
+//
+// Reads the definitions of the tables in a live database from MySQL's
+// information_schema.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// read_tables
+// -----------
+// Reads the definitions of tables in a database.
+//
+//  + query - Query function, see foreign-keys.js
+//  + database - Name of the database
+//  + tableNames - Array of names of tables to read, or null for all tables
+//  + callback - (err, tables)
+//
+// tables is an object of table definitions, keyed by table name:
+//
+//     {
+//       name: 'users',
+//       comment: '',
+//       columns: {
+//         username: {
+//           name: 'username',
+//           type: 'varchar(64)',
+//           nullable: false,
+//           default: null,           // COLUMN_DEFAULT, as a string
+//           auto_increment: false,
+//           update: null,            // e.g. 'CURRENT_TIMESTAMP'
+//           comment: ''
+//         },
+//         ...
+//       },
+//       columnOrder: ['id', 'username', ...],
+//       primary: ['id'],
+//       indexes: {
+//         username_uniq: {
+//           name: 'username_uniq',
+//           unique: true,
+//           type: 'BTREE',          // or 'FULLTEXT', 'SPATIAL'
+//           columns: [{ name: 'username', length: null, order: 'ASC' }]
+//         },
+//         ...
+//       },
+//       foreignKeys: {
+//         users_role_fk_roles_id: {
+//           name: 'users_role_fk_roles_id',
+//           columns: ['role'],
+//           table: 'roles',
+//           refColumns: ['id'],
+//           onUpdate: 'RESTRICT',
+//           onDelete: 'RESTRICT'
+//         },
+//         ...
+//       }
+//     }
+//
+// The order of index columns is null on servers which do not support
+// descending indexes.
+//
+module.exports.read_tables = function (query, database, tableNames, callback) {
+	var select = function (sql, tableColumn, order) {
+		var params = [database];
+		if (tableNames) {
+			if (tableNames.length) {
+				sql += ' AND ' + tableColumn + ' IN (?)';
+				params.push(tableNames);
+			}
+			else {
+				sql += ' AND FALSE';
+			}
+		}
+		sql += '\nORDER BY ' + order;
+		return function (callback) {
+			query(sql, params, callback);
+		};
+	};
+	async.parallel({
+			tables: select([
+				'SELECT TABLE_NAME AS tableName, TABLE_COMMENT AS comment',
+				'FROM information_schema.TABLES',
+				'WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = \'BASE TABLE\''
+				].join('\n'), 'TABLE_NAME', 'TABLE_NAME'),
+			columns: select([
+				'SELECT TABLE_NAME AS tableName, COLUMN_NAME AS name,',
+				'\tCOLUMN_TYPE AS type, IS_NULLABLE AS nullable,',
+				'\tCOLUMN_DEFAULT AS `default`, EXTRA AS extra,',
+				'\tCOLUMN_COMMENT AS comment',
+				'FROM information_schema.COLUMNS',
+				'WHERE TABLE_SCHEMA = ?'
+				].join('\n'), 'TABLE_NAME', 'TABLE_NAME, ORDINAL_POSITION'),
+			indexes: select([
+				'SELECT TABLE_NAME AS tableName, INDEX_NAME AS indexName,',
+				'\tNON_UNIQUE AS nonUnique, COLUMN_NAME AS name,',
+				'\tSUB_PART AS length, COLLATION AS collation,',
+				'\tINDEX_TYPE AS type',
+				'FROM information_schema.STATISTICS',
+				'WHERE TABLE_SCHEMA = ?'
+				].join('\n'), 'TABLE_NAME',
+				'TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX'),
+			foreignKeys: select([
+				'SELECT k.TABLE_NAME AS tableName,',
+				'\tk.CONSTRAINT_NAME AS constraintName, k.COLUMN_NAME AS name,',
+				'\tk.REFERENCED_TABLE_NAME AS refTable,',
+				'\tk.REFERENCED_COLUMN_NAME AS refColumn,',
+				'\tr.UPDATE_RULE AS onUpdate, r.DELETE_RULE AS onDelete',
+				'FROM information_schema.KEY_COLUMN_USAGE k',
+				'JOIN information_schema.REFERENTIAL_CONSTRAINTS r ON',
+				'\tr.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND',
+				'\tr.TABLE_NAME = k.TABLE_NAME AND',
+				'\tr.CONSTRAINT_NAME = k.CONSTRAINT_NAME',
+				'WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL'
+				].join('\n'), 'k.TABLE_NAME',
+				'k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION'),
+			version: function (callback) {
+				query('SELECT VERSION() AS version', null, callback);
+			}
+		},
+		function (err, res) {
+			if (err) {
+				return callback(err);
+			}
+			var descending = descending_indexes(res.version[0].version);
+			var tables = {};
+			res.tables.forEach(function (row) {
+				tables[row.tableName] = {
+					name: row.tableName,
+					comment: row.comment || '',
+					columns: {},
+					columnOrder: [],
+					primary: [],
+					indexes: {},
+					foreignKeys: {}
+				};
+			});
+			res.columns.forEach(function (row) {
+				var table = tables[row.tableName];
+				if (!table) {
+					return;
+				}
+				var extra = (row.extra || '').toLowerCase();
+				var update = extra.match(/on update ([a-z_]+(?:\(\d*\))?)/);
+				table.columns[row.name] = {
+					name: row.name,
+					type: row.type,
+					nullable: row.nullable === 'YES',
+					default: default_value(row.default),
+					auto_increment: extra.indexOf('auto_increment') !== -1,
+					update: update ? update[1].toUpperCase() : null,
+					comment: row.comment || ''
+				};
+				table.columnOrder.push(row.name);
+			});
+			res.indexes.forEach(function (row) {
+				var table = tables[row.tableName];
+				if (!table) {
+					return;
+				}
+				if (row.indexName === 'PRIMARY') {
+					table.primary.push(row.name);
+					return;
+				}
+				var index = table.indexes[row.indexName];
+				if (!index) {
+					index = table.indexes[row.indexName] = {
+						name: row.indexName,
+						unique: !Number(row.nonUnique),
+						type: row.type,
+						columns: []
+					};
+				}
+				index.columns.push({
+					name: row.name,
+					length: row.length === null ? null : Number(row.length),
+					order: !descending ? null :
+						row.collation === 'D' ? 'DESC' : 'ASC'
+				});
+			});
+			res.foreignKeys.forEach(function (row) {
+				var table = tables[row.tableName];
+				if (!table) {
+					return;
+				}
+				var fk = table.foreignKeys[row.constraintName];
+				if (!fk) {
+					fk = table.foreignKeys[row.constraintName] = {
+						name: row.constraintName,
+						columns: [],
+						table: row.refTable,
+						refColumns: [],
+						onUpdate: row.onUpdate,
+						onDelete: row.onDelete
+					};
+				}
+				fk.columns.push(row.name);
+				fk.refColumns.push(row.refColumn);
+			});
+			callback(null, tables);
+		});
+};
+
+/*
+ * Whether the server keeps the direction of index columns.  Older servers
+ * (MySQL before 8.0, MariaDB before 10.8) accept DESC but build ascending
+ * indexes, so the direction they report means nothing.
+ */
+function descending_indexes(version) {
+	var match = String(version).match(/^(\d+)\.(\d+)/);
+	if (!match) {
+		return true;
+	}
+	var major = Number(match[1]), minor = Number(match[2]);
+	if (/mariadb/i.test(version)) {
+		return major > 10 || (major === 10 && minor >= 8);
+	}
+	return major >= 8;
+}
+
+/*
+ * MariaDB reports literal defaults quoted and a missing default as NULL,
+ * MySQL reports them unquoted and as null
+ */
+function default_value(value) {
+	if (value === null || value === 'NULL') {
+		return null;
+	}
+	var match = String(value).match(/^'(.*)'$/);
+	return match ? match[1].replace(/''/g, '\'') : String(value);
+}
@@ -34,6 +34,13 @@ var indent = utils.indent;
 //  + Creates primary key field `id` on tables with no `id` field and no
 //    primary key.  Set `table.$primary = []` to disable creation of automatic
 //    primary key field.
+//  + Creates the version field named by `table.$version` if it is not
+//    defined, as an integer starting at 1.
+//  + Creates the soft delete field named by `table.$softDelete` if it is not
+//    defined, as a nullable DATETIME (see soft-delete.js).
+//  + Normalizes `table.$timestamps` to `{ created, updated }` field names and
+//    creates those fields if they are not defined, as TIMESTAMPs set by MySQL
+//    when the row is created and when it is updated.
 //  + Expands shorthand string definitions to object definitions.
 //
 // TODO: Define prototypes instead of assigning $type to each one
@@ -60,6 +67,16 @@ function initialise_schema(orm) {
 			table.$primary = [table.$primary];
 		}
 		table.$primary = table.$primary || [];
+		if (_(table.$version).isString() && !_(table).has(table.$version)) {
+			table[table.$version] = { type: 'INTEGER', default: 1 };
+		}
+		if (_(table.$softDelete).isString() &&
+			!_(table).has(table.$softDelete)) {
+			table[table.$softDelete] = { type: 'DATETIME', nullable: true };
+		}
+		if (table.$timestamps) {
+			table.$timestamps = timestamps(table);
+		}
 		names(table).forEach(function initialise_field(fieldName) {
 			orm.info('schema ' + Array(tableName.length + 1).join(' ') + '.' +
 				fieldName);
@@ -79,6 +96,29 @@ function initialise_schema(orm) {
 	});
 }
 
+/*
+ * Normalizes `$timestamps` (true, or an object naming the fields, where false
+ * omits a field) and creates the fields which are not defined
+ */
+function timestamps(table) {
+	var stamps = _({ created: 'created_at', updated: 'updated_at' })
+		.extend(table.$timestamps === true ? {} : table.$timestamps);
+	if (stamps.created && !_(table).has(stamps.created)) {
+		table[stamps.created] = {
+			type: 'TIMESTAMP',
+			default: '$CURRENT_TIMESTAMP'
+		};
+	}
+	if (stamps.updated && !_(table).has(stamps.updated)) {
+		table[stamps.updated] = {
+			type: 'TIMESTAMP',
+			default: '$CURRENT_TIMESTAMP',
+			update: '$CURRENT_TIMESTAMP'
+		};
+	}
+	return { created: stamps.created || null, updated: stamps.updated || null };
+}
+
 // expand_field_shorthand_definition
 // ---------------------------------
 // Generates a field definition object from a shorthand string definition
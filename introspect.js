@@ -0,0 +1,200 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var information_schema = require('./information-schema');
+
+// introspect
+// ==========
+//
+// Generates a schema from the tables of an existing database.
+//
+// This module is used internally, you should never need to call it yourself.
+// See `introspect` in index.js and the generate-schema.js command.
+//
+
+// introspect
+// ----------
+// Reads the definitions of tables and converts them to a schema.
+//
+//  + query - Query function, see foreign-keys.js
+//  + database - Name of the database
+//  + tableNames - Array of names of tables to read, or null for all tables
+//  + callback - (err, schema)
+//
+module.exports.introspect = function (query, database, tableNames, callback) {
+	information_schema.read_tables(query, database, tableNames,
+		function (err, tables) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, schema_from_tables(tables));
+		});
+};
+
+// schema_from_tables
+// ------------------
+// Converts table definitions as read by information_schema.read_tables to a
+// schema, in the format described in index.js.
+//
+// Foreign keys whose referenced table is not among the tables are left as
+// plain columns.  Foreign keys over several columns are declared in
+// `$references`, named after the referenced table.  An `id` column which is
+// an auto-increment integer primary key is left out, as the ORM adds it to
+// tables with no primary key.
+//
+// Foreign key constraints are named by the ORM, so existing constraints which
+// were named differently will be renamed by a migration.
+//
+module.exports.schema_from_tables = schema_from_tables;
+function schema_from_tables(tables) {
+	var schema = {};
+	_(tables).each(function (table, tableName) {
+		var def = {};
+		var primary = table.primary;
+		/* The implicit primary key */
+		var implicitId = primary.length === 1 && primary[0] === 'id' &&
+			table.columns.id.auto_increment &&
+			/^int(eger)?\b/i.test(table.columns.id.type);
+		if (!implicitId) {
+			def.$primary = primary;
+		}
+		if (table.comment) {
+			def.$comment = table.comment;
+		}
+		var foreignKeys = {}, composite = [];
+		_(table.foreignKeys).each(function (fk) {
+			if (!_(tables).has(fk.table)) {
+				return;
+			}
+			if (fk.columns.length === 1) {
+				foreignKeys[fk.columns[0]] = fk;
+			}
+			else {
+				composite.push(fk);
+			}
+		});
+		table.columnOrder.forEach(function (name) {
+			if (implicitId && name === 'id') {
+				return;
+			}
+			def[name] = field_from_column(table.columns[name], foreignKeys[name]);
+		});
+		/* Composite foreign keys, named after the referenced table */
+		composite.forEach(function (fk) {
+			def.$references = def.$references || {};
+			var name = fk.table;
+			if (_(table.columns).has(name) || _(def.$references).has(name)) {
+				name = fk.name;
+			}
+			var relation = def.$references[name] = {
+				columns: fk.columns,
+				references: _(fk.refColumns).isEqual(tables[fk.table].primary) ?
+					fk.table : fk.refColumns.map(function (col) {
+						return fk.table + '.' + col;
+					})
+			};
+			reference_options(relation, fk);
+		});
+		_(table.indexes).each(function (index, indexName) {
+			/* MySQL creates indexes for foreign keys which lack one */
+			if (_(table.foreignKeys).has(indexName)) {
+				return;
+			}
+			var col = index.columns[0];
+			var field = def[col.name];
+			var key = index.unique ? 'unique' : 'index';
+			if (index.columns.length === 1 && index.type !== 'FULLTEXT' &&
+				col.length === null && col.order !== 'DESC' && field && !field[key]) {
+				field[key] = indexName;
+				return;
+			}
+			/* Composite, prefix, descending and FULLTEXT indexes */
+			key = index.unique ? '$unique' : '$indexes';
+			def[key] = def[key] || {};
+			def[key][indexName] = {
+				columns: index.columns.map(function (col) {
+					return (col.order === 'DESC' ? '-' : '') + col.name +
+						(col.length === null ? '' : '(' + col.length + ')');
+				})
+			};
+			if (index.type === 'FULLTEXT') {
+				def[key][indexName].type = 'fulltext';
+			}
+		});
+		schema[tableName] = def;
+	});
+	return schema;
+}
+
+/*
+ * Converts a column and the foreign key on it (if any) to a field definition
+ */
+function field_from_column(column, fk) {
+	var field = { type: column.type };
+	if (column.nullable) {
+		field.nullable = true;
+	}
+	if (column.auto_increment) {
+		field.auto_increment = true;
+	}
+	if (column.default !== null) {
+		field.default = default_value(column);
+	}
+	if (column.update) {
+		field.update = '$' + column.update;
+	}
+	if (column.comment) {
+		field.comment = column.comment;
+	}
+	if (fk) {
+		field.references = fk.table + '.' + fk.refColumns[0];
+		reference_options(field, fk);
+	}
+	return field;
+}
+
+/* Copies the reference options of a foreign key, unless they are default */
+function reference_options(def, fk) {
+	if (fk.onDelete !== 'RESTRICT') {
+		def.onDelete = fk.onDelete.toLowerCase();
+	}
+	if (fk.onUpdate !== 'RESTRICT') {
+		def.onUpdate = fk.onUpdate.toLowerCase();
+	}
+}
+
+/*
+ * Converts the default value of a column to the form used in the schema:
+ * numbers for numeric columns and `$`-prefixed SQL for expressions
+ */
+function default_value(column) {
+	var value = column.default;
+	if (/^(current_timestamp|now|localtime|localtimestamp)(\(\d*\))?$/i
+			.test(value)) {
+		return '$' + value.toUpperCase();
+	}
+	var bits = value.match(/^b'([01]+)'$/);
+	if (bits) {
+		return parseInt(bits[1], 2);
+	}
+	if (/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|float|double|bit)\b/i
+			.test(column.type) && !isNaN(Number(value))) {
+		return Number(value);
+	}
+	return value;
+}
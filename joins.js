@@ -0,0 +1,258 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+var model = require('./model');
+var names = utils.names;
+
+// joins
+// =====
+// Foreign key lookups in a single query
+//
+// loadMany resolves foreign keys by LEFT JOINing the parent tables onto the
+// table being read, instead of running a SELECT for each foreign key of each
+// row.  The tables to join are described by a plan: a tree whose root is the
+// table being read, where each child is the parent table of a foreign key.
+//
+// Each joined table is aliased by its path from the root table (e.g.
+// `posts.user.country`) and each of its columns is selected under an alias of
+// the same form (e.g. `user.country.name`), from which the nested rows are
+// rebuilt.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// plan
+// ----
+// Generates the join plan for a table.
+//
+//  + table - The table being read
+//  + lookup - Which parent tables of foreign keys to join, see the `lookup`
+//    option of loadMany and utils.lookup_child
+//  + fields - Optional list of fields to retrieve, as names, references or
+//    paths into parent tables (e.g. `'country.name'`)
+//  + callback - (err, plan)
+//
+// Composite foreign keys (see `$references` in parse-schema.js) are followed
+// like foreign key fields, and the parent row is stored under the name of the
+// relation, alongside the columns of the foreign key.
+//
+// When no depth is specified (`lookup` is true), a foreign key which already
+// appears on the path from the root table is not followed again, so circular
+// references (e.g. `employees.manager`) are followed once and the deeper value
+// is left as the raw id.
+//
+// A path into a parent table causes that table to be joined regardless of the
+// `lookup` option.  The keys needed to join the tables are always selected,
+// but are removed from the rebuilt rows if they were not requested.
+//
+module.exports.plan = function (table, lookup, fields, callback) {
+	var tree;
+	if (fields) {
+		tree = {};
+		for (var i = 0; i < fields.length; i++) {
+			var err = add_path(table, tree, fields[i]);
+			if (err) {
+				return callback(err);
+			}
+		}
+	}
+	callback(null, plan_node(table, table, [], [], lookup, tree));
+};
+
+/*
+ * Adds a field to the tree of requested fields, where each key of the tree is
+ * either true (the whole value of that field is requested) or a subtree of
+ * requested fields in the parent table.
+ */
+function add_path(table, tree, field) {
+	if (field.$type === 'field') {
+		if (field.$table !== table) {
+			return new Error('Field ' + field.$fullname + ' is not in table ' +
+				table.$fullname + ', use a path such as "country.name" to ' +
+				'retrieve fields from related tables');
+		}
+		field = field.$name;
+	}
+	if (!_(field).isString()) {
+		return new Error('Fields must be specified by name, path or ' +
+			'reference: ' + JSON.stringify(field));
+	}
+	var path = field.split('.');
+	var node = tree;
+	for (var i = 0; i < path.length; i++) {
+		var name = path[i];
+		var relation = (table.$references || {})[name];
+		if (name.charAt(0) === '$' || !(_(table).has(name) || relation)) {
+			return new Error('Field "' + name + '" of path "' + field +
+				'" not found in table ' + table.$fullname);
+		}
+		if (i === path.length - 1) {
+			node[name] = true;
+		}
+		else if (!relation && !table[name].references) {
+			return new Error('Field "' + name + '" of path "' + field +
+				'" is not a foreign key');
+		}
+		else if (node[name] === true) {
+			break;
+		}
+		else {
+			node = node[name] = node[name] || {};
+			table = relation ? relation.references[0].$table :
+				table[name].references.$table;
+		}
+	}
+}
+
+/*
+ * Lists the foreign keys of a table which may be followed, among the given
+ * names of fields and relations, as { name, key, table, on } objects where key
+ * is the field or relation and on is an array of [parent column, column]
+ * pairs.
+ */
+function links(table, list) {
+	return list
+		.map(function (name) {
+			var relation = (table.$references || {})[name];
+			if (relation) {
+				return {
+					name: name,
+					key: relation,
+					table: relation.references[0].$table,
+					on: _.zip(_(relation.references).pluck('$name'),
+						relation.columns)
+				};
+			}
+			var field = table[name];
+			if (!field.references) {
+				return null;
+			}
+			return {
+				name: name,
+				key: field,
+				table: field.references.$table,
+				on: [[field.references.$name, name]]
+			};
+		})
+		.filter(_.identity);
+}
+
+function plan_node(root, table, path, followed, lookup, fields) {
+	var requested = fields ? _(fields).keys() : null;
+	var node = {
+		table: table,
+		path: path,
+		alias: [root.$name].concat(path).join('.'),
+		columns: requested ? _(requested).filter(function (name) {
+				return _(table).has(name);
+			}) : names(table),
+		output: requested,
+		children: []
+	};
+	var candidates = requested || names(table).concat(utils.relations(table));
+	links(table, candidates).forEach(function (link) {
+		var child = utils.lookup_child(lookup, link.name);
+		var subtree = fields && _(fields[link.name]).isObject() ?
+			fields[link.name] : undefined;
+		if (!subtree &&
+			(child === null || (child === true && _(followed).contains(link.key)))) {
+			return;
+		}
+		var parent = plan_node(root, link.table, path.concat([link.name]),
+			followed.concat([link.key]), child === null ? false : child, subtree);
+		/* The referenced key is needed to tell whether the foreign key is null */
+		if (!_(parent.columns).contains(link.on[0][0])) {
+			parent.columns.push(link.on[0][0]);
+		}
+		node.children.push({ name: link.name, on: link.on, node: parent });
+	});
+	return node;
+}
+
+// columns
+// -------
+// Lists the columns selected by a plan as { alias, name, as } objects, where
+// `alias` is the alias of the joined table, `name` is the name of the column
+// and `as` is the alias that the column is selected under.
+//
+module.exports.columns = function (plan) {
+	var list = [];
+	walk(plan, function (node) {
+		node.columns.forEach(function (name) {
+			list.push({
+				alias: node.alias,
+				name: name,
+				as: node.path.concat([name]).join('.')
+			});
+		});
+	});
+	return list;
+};
+
+// joins
+// -----
+// Lists the tables joined by a plan as { table, alias, parent, on } objects,
+// where `on` is an array of [child column, parent column] pairs.
+//
+module.exports.joins = function (plan) {
+	var list = [];
+	walk(plan, function (node) {
+		node.children.forEach(function (child) {
+			list.push({
+				table: child.node.table,
+				alias: child.node.alias,
+				parent: node.alias,
+				on: child.on
+			});
+		});
+	});
+	return list;
+};
+
+// hydrate
+// -------
+// Rebuilds a nested row from a row of aliased columns returned by the query,
+// deserializing the values of each table and removing columns which were only
+// selected in order to join the tables.  The row of each table is an instance
+// of its model, see model.js.
+//
+module.exports.hydrate = function (plan, row) {
+	var obj = {};
+	var prefix = plan.path.length ? plan.path.join('.') + '.' : '';
+	plan.columns.forEach(function (name) {
+		var field = plan.table[name];
+		var value = row[prefix + name];
+		obj[name] = field.deserialize ? field.deserialize(value) : value;
+	});
+	plan.children.forEach(function (child) {
+		var key = child.node.path.concat([child.on[0][0]]).join('.');
+		obj[child.name] = row[key] === null ? null :
+			module.exports.hydrate(child.node, row);
+	});
+	return model.loaded(plan.table,
+		plan.output ? _(obj).pick(plan.output) : obj);
+};
+
+/* Visits each node of a plan, parents first */
+function walk(node, fn) {
+	fn(node);
+	node.children.forEach(function (child) {
+		walk(child.node, fn);
+	});
+}
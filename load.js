@@ -16,7 +16,11 @@ var async = require('async');
 var _ = require('underscore');
 
 var sql = require('./sql');
+var joins = require('./joins');
 var utils = require('./utils');
+var errors = require('./errors');
+var hooks = require('./hooks');
+var softDelete = require('./soft-delete');
 
 var names = utils.names;
 var parse_args = utils.parse_args;
@@ -30,7 +34,7 @@ module.exports = ORM.prototype;
 //
 
 // 
-// load([query] table [id|criteria] callback)
+// load([query] table [id|criteria [options]] callback)
 // ----
 // 
 // Retrieves a single row from table where the id matches the id parameter, or
@@ -40,10 +44,12 @@ module.exports = ORM.prototype;
 //  + table - Table name or reference
 //  + id - Row ID (primary key value)
 //  + criteria - Object containing search criteria
+//  + options - Extra query options, see loadMany
 //  + callback - (err, row)
 //
-// If now row is found, then an error is returned and row === false.  For other
-// errors, row is undefined.
+// If now row is found, then a NotFoundError is returned and row === false.  If
+// several are, a MultipleRowsError is returned.  For other errors, row is
+// undefined.  See errors.js.
 // 
 // Same usage as loadMany but obviously the LIMIT specifiers are not used.
 // 
@@ -52,17 +58,20 @@ ORM.prototype.load = function () {
 	var query = args.query;
 	var table = args.table;
 	var criteria = args.data;
+	var options = _({}).extend(_(args.options).omit('first', 'last'),
+		{ count: 2 });
 	var callback = args.callback;
 	var self = this;
-	this.loadMany(table, criteria, { count: 2 }, function (err, res) {
+	this.loadMany(query, table, criteria, options, function (err, res) {
 		if (err) {
 			return callback(err);
 		}
 		if (res.length === 0) {
-			return callback(new Error('Item not found'), null);
+			return callback(new errors.NotFoundError(table, criteria), null);
 		}
 		else if (res.length > 1) {
-			return callback(new Error('Multiple rows were returned for GET ' +
+			return callback(new errors.MultipleRowsError(table, criteria,
+				'Multiple rows were returned for GET ' +
 				'operation on table '+table.$name+' with criteria ' +
 				JSON.stringify(criteria)));
 		}
@@ -77,18 +86,43 @@ ORM.prototype.load = function () {
 // Retrieves all rows from table which match the criteria.
 //
 //  + table - Ttble name or reference
-//  + criteria - Object containing search criteria
+//  + criteria - Object containing search criteria.  See sql.where for the
+//    operators ($in, $gt, $like, etc) which may be used in criteria.
 //  + options - Extra query options
-//     + lookup (default: true) - Specifies whether to lookup records related
-//       over foreign keys.  TODO: Number to specify lookup depth.
-//     + fields - Array of names of fields to retrieve.  All fields are
-//       retrieved if this is not specified.
+//     + lookup (default: true) - Specifies which records related over
+//       foreign keys are looked up.  The related records are retrieved in the
+//       same query, by LEFT JOINing their tables.
+//        + true - Look up all related records, recursively.  Circular
+//          references are only followed once.
+//        + false - Do not look up related records.
+//        + number - Look up related records to the given depth.
+//        + object - Look up only the foreign keys named in the object, the
+//          value of each being the lookup option for the related records,
+//          e.g. `{ user: { role: false, country: true } }`.
+//     + fields - Array of fields to retrieve, as names, references or paths
+//       into related tables such as `'country.name'`.  A path causes the
+//       related table to be looked up regardless of the `lookup` option, and
+//       only the fields named are returned for it.  All fields are retrieved
+//       if this is not specified.
 //     + sort - Name of field to sort on, or array of fields to sort on.  Prefix
 //       a `+` or `-` to the field name to specify ascending or descending
 //       order.  You may specify field objects or field names or a mix of both.
 //     + first, last, count - Limit the range of records retrieved.  Any
 //       combination which allows `count` to be calculated is valid.
+//     + hooks (default: true) - Set to false to skip the afterLoad hooks, see
+//       hooks.js
+//     + withDeleted, onlyDeleted - Include soft-deleted rows, or return only
+//       them, see soft-delete.js
+//     + lock, nowait, skipLocked - Lock the rows until the end of the
+//       transaction, with `lock: 'update'` (SELECT ... FOR UPDATE) or
+//       `lock: 'share'` (LOCK IN SHARE MODE).  The rows of parent tables which
+//       are looked up are locked too.  Only allowed in a transaction, see
+//       sql.lock.
 //  + callback - (err, rows)
+//
+// The rows (and the rows of parent tables which were looked up) are instances
+// of the model of their table, which record changes to their fields so that
+// they can be saved with `row.save()`.  See model.js.
 //    
 // ### Example:
 // 
@@ -105,7 +139,7 @@ ORM.prototype.load = function () {
 //         role: { value: 'admin' }
 //      },
 //      {
-//         fields: { 'name', schema.users.id, schema.users.country },
+//         fields: [ 'name', schema.users.id, 'country.value' ],
 //         sort: schema.users.name,  //or '+name'
 //         count: 10
 //       },
@@ -124,52 +158,52 @@ ORM.prototype.loadMany = function () {
 	var args = parse_args(this, arguments);
 	var query = args.query;
 	var table = args.table;
-	var criteria = args.data;
 	var options = args.options;
+	var criteria = softDelete.criteria(table, args.data, options);
 	var callback = args.callback;
 	var self = this;
-	var lookup = !_(options).has('lookup') || criteria.lookup;
-	async.parallel([
-			async.apply(sql.select, this, options.fields),
-			async.apply(sql.from, this, table),
-			async.apply(sql.where, this, query, table, criteria),
-			async.apply(sql.orderby, this, table, options.sort),
-			async.apply(sql.limit, this, options)
-			/*
-			 * TODO: JOINs so we can get the foreign key stuff in one operation
-			 * instead of running several SELECTs on every row which is obviously
-			 * going to be insanely slow for large datasets.
-			 */
+	var lookup = _(options).has('lookup') ? options.lookup : true;
+	var plan;
+	async.waterfall([
+			async.apply(joins.plan, table, lookup, options.fields),
+			function (res, callback) {
+				plan = res;
+				async.parallel([
+						async.apply(sql.selectJoined, self, plan),
+						async.apply(sql.from, self, table),
+						async.apply(sql.leftJoins, self, plan),
+						async.apply(sql.where, self, query, table, criteria),
+						async.apply(sql.orderby, self, table, options.sort),
+						async.apply(sql.limit, self, options),
+						async.apply(sql.lock, self, query, options)
+					],
+					callback);
+			},
+			function (sqlParts, callback) {
+				query(_(sqlParts).compact().join('\n'), null,
+					function (err, rows) {
+						callback(err, rows);
+					});
+			},
+			function (rows, callback) {
+				/* Deserialize and rebuild the rows of the joined tables */
+				rows = rows.map(function (row) {
+					return joins.hydrate(plan, row);
+				});
+				hooks.run_hooks(self, table, 'afterLoad', rows, query, options,
+					function (err) {
+						callback(err, rows);
+					});
+			}
 		],
-		function (err, sqlParts) {
+		function (err, rows) {
 			if (err) {
 				return callback(err);
 			}
-			query(_(sqlParts).compact().join('\n'), null, function (err, rows) {
-				if (err) {
-					return callback(err);
-				}
-				if (!lookup) {
-					return callback(null, rows);
-				}
-				async.each(rows,
-					function (row, callback) {
-						/* Deserialize */
-						names(table).forEach(function (key) {
-							if (table[key].deserialize) {
-								row[key] = table[key].deserialize(row[key]);
-							}
-						});
-						/* Lookup references */
-						self.lookupForeignValues(query, table, row, options,
-							callback);
-					},
-					function (err) {
-						if (err) {
-							return callback(err);
-						}
-						callback(null, rows);
-					});
+			/* Changes made by the hooks are not to be saved */
+			rows.forEach(function (row) {
+				row.$dirty = {};
 			});
+			callback(null, rows);
 		});
 };
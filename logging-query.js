@@ -16,6 +16,7 @@ var cli = require('cli-color');
 var _ = require('underscore');
 
 var utils = require('./utils');
+var errors = require('./errors');
 var indent = utils.indent;
 
 var ORM = { prototype: {} };
@@ -64,10 +65,13 @@ ORM.prototype.loggedQuery = function (connection) {
 			log('sql = ', sql);
 		}
 		connection.query(sql, function (err) {
+			var args = [].slice.apply(arguments);
 			if (err) {
 				self[self.ready ? 'warn' : 'error'](qidstr + 'error = ' + JSON.stringify(err) + '; sql=\n' + indent(sql));
+				/* Typed errors for duplicate keys, foreign keys and deadlocks */
+				args[0] = errors.from_mysql(self, err, sql);
 			}
-			callback.apply(null, arguments);
+			callback.apply(null, args);
 		});
 	};
 	query._cid = cid;
@@ -0,0 +1,433 @@
+'use strict';
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+var cli = require('cli-color');
+
+var utils = require('./utils');
+var autogen = require('./autogen');
+var information_schema = require('./information-schema');
+
+var names = utils.names;
+
+var ORM = { prototype: {} };
+module.exports = ORM.prototype;
+
+// migrate
+// =======
+// Brings the tables of an existing database into line with the schema
+//
+
+//
+// migrate([options] callback)
+// -------
+//
+// Reads the definitions of the tables from `information_schema`, compares them
+// against the schema and executes the ALTER TABLE statements needed to make
+// the database match the schema.  Tables which do not exist are created.
+//
+//  + options
+//     + dryRun - Only log the statements which would be executed, do not
+//       execute them
+//     + drop - Drop columns, indexes and foreign keys which exist in the
+//       database but not in the schema.  By default, they are reported with a
+//       warning and left alone.
+//  + callback - (err, statements) - statements is the array of SQL statements
+//    which were executed (or which would have been, for a dry run).  It is
+//    empty if the database already matches the schema.
+//
+// The following are compared:
+//  + column types, nullability, defaults, auto-increment, ON UPDATE and
+//    comments
+//  + primary keys, indexes and unique keys, including their column order,
+//    prefix lengths and sort order (on servers with descending indexes)
+//  + foreign keys (by the `$fkname` generated for them) and their ON UPDATE /
+//    ON DELETE options
+//  + table comments
+//
+// Foreign keys are dropped before the columns and keys are altered and are
+// added afterwards.  The statements run on one connection, with foreign key
+// checks disabled until they have finished (or one of them fails).
+//
+// Columns are never renamed: a renamed field appears as a new column, and the
+// old column is dropped if `drop` is set.  Any data in it is lost.
+//
+// ### Example
+//
+//     orm.migrate({ dryRun: true }, function (err, statements) { ... });
+//
+ORM.prototype.migrate = function (options, callback) {
+	if (_(options).isFunction()) {
+		callback = options;
+		options = {};
+	}
+	options = options || {};
+	var self = this;
+	async.waterfall([
+			async.apply(information_schema.read_tables, self.query,
+				self.database, names(self.schema)),
+			function (live, callback) {
+				var ddl = plan(self, live, options);
+				var statements = ddl.length ?
+					[].concat(checks(0), ddl, checks(1)) : [];
+				if (options.dryRun) {
+					statements.forEach(function (sql) {
+						self.log(cli.yellow('PLAN'), sql);
+					});
+					return callback(null, statements);
+				}
+				execute(self, ddl, function (err) {
+					callback(err || null, statements);
+				});
+			}
+		],
+		callback);
+};
+
+/*
+ * Executes the statements of a plan on one connection, with foreign key checks
+ * disabled.  They are re-enabled and the connection is released whether or
+ * not the statements succeed, so the connection is never returned to the pool
+ * with the checks off.
+ */
+function execute(orm, ddl, callback) {
+	if (!ddl.length) {
+		return callback(null);
+	}
+	var pooled = orm.connection.getConnection;
+	if (pooled) {
+		orm.connection.getConnection(gotConnection);
+	}
+	else {
+		/* Not pooled, or a transaction's connection */
+		gotConnection(null, null);
+	}
+	function gotConnection(err, connection) {
+		if (err) {
+			return callback(err);
+		}
+		var query = connection ? orm.loggedQuery(connection) : orm.query;
+		async.series([
+				async.apply(query, checks(0), null),
+				function (callback) {
+					async.eachSeries(ddl,
+						function (sql, callback) {
+							query(sql, null, callback);
+						},
+						callback);
+				}
+			],
+			function (err) {
+				query(checks(1), null, function (err2) {
+					if (connection) {
+						connection.release();
+					}
+					callback(err || err2 || null);
+				});
+			});
+	}
+}
+
+/* Statement which disables (0) or enables (1) foreign key checks */
+function checks(value) {
+	return 'SET FOREIGN_KEY_CHECKS = ' + value;
+}
+
+/*
+ * Generates the statements to migrate the tables of the schema from their
+ * live definitions, as read by information_schema.read_tables
+ */
+function plan(orm, live, options) {
+	var dropForeignKeys = {}, alterTables = {}, addForeignKeys = {};
+	var createTables = [];
+	var push = function (obj, tableName, clause) {
+		(obj[tableName] = obj[tableName] || []).push(clause);
+	};
+	/* Columns which are modified, keyed by `table`.`column` */
+	var modified = {};
+	var tableNames = names(orm.schema);
+	/* Columns, keys and comments */
+	tableNames.forEach(function (tableName) {
+		var table = orm.schema[tableName];
+		var current = live[tableName];
+		if (!current) {
+			createTables.push(autogen.create_table(orm, table));
+			return;
+		}
+		var clauses = [];
+		/* Drop indexes first, so that dropped columns are not left in them */
+		var foreignKeyNames = _(autogen.table_foreign_keys(table)).pluck('name')
+			.concat(_(current.foreignKeys).keys());
+		var indexes = _(autogen.table_indexes(table)).indexBy('name');
+		var addIndexes = [];
+		_(indexes).each(function (index, name) {
+			var existing = current.indexes[name];
+			if (existing && !index_differs(index, existing)) {
+				return;
+			}
+			if (existing) {
+				clauses.push(mysql.format('DROP INDEX ??', [name]));
+			}
+			addIndexes.push(index);
+		});
+		_(current.indexes).each(function (index, name) {
+			/* MySQL creates indexes for foreign keys which lack one */
+			if (_(indexes).has(name) || _(foreignKeyNames).contains(name)) {
+				return;
+			}
+			if (options.drop) {
+				clauses.push(mysql.format('DROP INDEX ??', [name]));
+			}
+			else {
+				orm.warn('Index ' + mysql.escapeId(name) + ' of table ' +
+					table.$fullname + ' is not in the schema, use the `drop` ' +
+					'option to remove it');
+			}
+		});
+		/* Columns */
+		var fieldNames = names(table);
+		current.columnOrder.forEach(function (name) {
+			if (_(fieldNames).contains(name)) {
+				return;
+			}
+			if (options.drop) {
+				clauses.push(mysql.format('DROP COLUMN ??', [name]));
+			}
+			else {
+				orm.warn('Column ' + mysql.escapeId(name) + ' of table ' +
+					table.$fullname + ' is not in the schema, use the `drop` ' +
+					'option to remove it');
+			}
+		});
+		var primaryChanged = !_(current.primary).isEqual(table.$primary);
+		if (primaryChanged && current.primary.length) {
+			clauses.push('DROP PRIMARY KEY');
+		}
+		fieldNames.forEach(function (fieldName, i) {
+			var field = table[fieldName];
+			var column = current.columns[fieldName];
+			var spec = autogen.column_spec(orm, field);
+			if (!column) {
+				clauses.push('ADD COLUMN ' + spec + (i === 0 ? ' FIRST' :
+					' AFTER ' + mysql.escapeId(fieldNames[i - 1])));
+			}
+			else if (column_differs(field, column)) {
+				clauses.push('MODIFY COLUMN ' + spec);
+				modified[mysql.escapeId(tableName) + '.' +
+					mysql.escapeId(fieldName)] = true;
+			}
+		});
+		if (primaryChanged && table.$primary.length) {
+			clauses.push(mysql.format('ADD PRIMARY KEY (??)', [table.$primary]));
+		}
+		addIndexes.forEach(function (index) {
+			clauses.push('ADD ' + autogen.index_definition(orm, index));
+		});
+		if ((table.$comment || '') !== current.comment) {
+			clauses.push('COMMENT = ' + mysql.escape(table.$comment || ''));
+		}
+		if (clauses.length) {
+			alterTables[tableName] = clauses;
+		}
+	});
+	/* Foreign keys */
+	var touchesModified = function (fk, tableName) {
+		return _(fk.columns).some(function (name) {
+				return modified[mysql.escapeId(tableName) + '.' +
+					mysql.escapeId(name)];
+			}) ||
+			_(fk.refColumns).some(function (name) {
+				return modified[mysql.escapeId(fk.table) + '.' +
+					mysql.escapeId(name)];
+			});
+	};
+	tableNames.forEach(function (tableName) {
+		var table = orm.schema[tableName];
+		var current = live[tableName];
+		if (!current) {
+			return;
+		}
+		var foreignKeys = _(autogen.table_foreign_keys(table)).indexBy('name');
+		_(foreignKeys).each(function (fk, name) {
+			var existing = current.foreignKeys[name];
+			if (existing && !foreign_key_differs(fk, existing) &&
+				!touchesModified(fk, tableName)) {
+				return;
+			}
+			if (existing) {
+				push(dropForeignKeys, tableName,
+					mysql.format('DROP FOREIGN KEY ??', [name]));
+			}
+			push(addForeignKeys, tableName,
+				'ADD ' + autogen.foreign_key_definition(orm, fk));
+		});
+		_(current.foreignKeys).each(function (fk, name) {
+			if (_(foreignKeys).has(name)) {
+				return;
+			}
+			if (options.drop) {
+				push(dropForeignKeys, tableName,
+					mysql.format('DROP FOREIGN KEY ??', [name]));
+			}
+			else {
+				orm.warn('Foreign key ' + mysql.escapeId(name) + ' of table ' +
+					table.$fullname + ' is not in the schema, use the `drop` ' +
+					'option to remove it');
+			}
+		});
+	});
+	/* Generate statements */
+	var alter = function (obj) {
+		return _(obj).map(function (clauses, tableName) {
+			return mysql.format('ALTER TABLE ??', [tableName]) + '\n' +
+				utils.indent(clauses.join(',\n')) + ';';
+		});
+	};
+	var statements = [].concat(
+		alter(dropForeignKeys),
+		createTables,
+		alter(alterTables),
+		alter(addForeignKeys));
+	return statements;
+}
+
+/*
+ * Compares a field definition with the definition of a live column
+ */
+function column_differs(field, column) {
+	var type = normalize_type(field.type);
+	if (type !== normalize_type(column.type)) {
+		return true;
+	}
+	var primary = _(field.$table.$primary).contains(field.$name);
+	if ((!!field.nullable && !primary) !== column.nullable) {
+		return true;
+	}
+	if (!!field.auto_increment !== column.auto_increment) {
+		return true;
+	}
+	if ((field.comment || '') !== column.comment) {
+		return true;
+	}
+	/*
+	 * MySQL may give TIMESTAMP columns an implicit default and ON UPDATE, so
+	 * only compare them when they are declared
+	 */
+	var implicit = /^timestamp/.test(type) &&
+		!has_default(field) && !field.update;
+	if (implicit) {
+		return false;
+	}
+	if (!same_value(declared_default(field), live_default(column.default))) {
+		return true;
+	}
+	var update = field.update ? expression(_(field.update).isString() &&
+		field.update.charAt(0) === '$' ? field.update.substring(1) :
+		field.update) : null;
+	return update !== (column.update ? expression(column.update) : null);
+}
+
+/*
+ * Normalizes a column type to the form reported by information_schema
+ */
+function normalize_type(type) {
+	var t = String(type).toLowerCase().replace(/\s+/g, ' ').trim();
+	t = t
+		.replace(/^integer\b/, 'int')
+		.replace(/^bool(ean)?$/, 'tinyint')
+		.replace(/^(tinyint|smallint|mediumint|int|bigint)\(\d+\)/, '$1')
+		.replace(/^(numeric|dec|fixed)\b/, 'decimal')
+		.replace(/^decimal$/, 'decimal(10,0)')
+		.replace(/^decimal\((\d+)\)/, 'decimal($1,0)')
+		.replace(/^(bit|char|binary)$/, '$1(1)')
+		.replace(/^double precision\b/, 'double')
+		.replace(/^real\b/, 'double')
+		.replace(/,\s+/g, ',');
+	return t;
+}
+
+function has_default(field) {
+	return field.default !== null && !_(field.default).isUndefined();
+}
+
+/* The declared default as a string, or null */
+function declared_default(field) {
+	if (!has_default(field)) {
+		return null;
+	}
+	var def = field.serialize ? field.serialize(field.default) : field.default;
+	if (_(def).isString() && def.charAt(0) === '$') {
+		return expression(def.substring(1));
+	}
+	if (_(def).isBoolean()) {
+		return def ? '1' : '0';
+	}
+	return String(def);
+}
+
+/* The live default as a string, or null */
+function live_default(value) {
+	if (value === null) {
+		return null;
+	}
+	if (/^(current_timestamp|now|localtime|localtimestamp)(\(\d*\))?$/i
+			.test(value)) {
+		return expression(value);
+	}
+	/* BIT defaults are reported as b'1' */
+	var match = value.match(/^b'([01]+)'$/);
+	return match ? String(parseInt(match[1], 2)) : value;
+}
+
+function expression(sql) {
+	sql = sql.toUpperCase();
+	if (sql === 'NOW()' || sql === 'NOW') {
+		return 'CURRENT_TIMESTAMP';
+	}
+	return sql.replace(/\(\)$/, '');
+}
+
+function same_value(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (a === null || b === null) {
+		return false;
+	}
+	/* e.g. 0 and 0.00 for DECIMAL columns */
+	return a.trim() !== '' && b.trim() !== '' &&
+		!isNaN(Number(a)) && Number(a) === Number(b);
+}
+
+function index_differs(index, existing) {
+	var type = existing.type === 'FULLTEXT' ? 'FULLTEXT' : null;
+	/* The order is unknown if the server does not support descending indexes */
+	var columns = existing.columns.map(function (col, i) {
+		if (col.order !== null || !index.columns[i]) {
+			return col;
+		}
+		return _({}).extend(col, { order: index.columns[i].order });
+	});
+	return index.unique !== existing.unique || index.type !== type ||
+		!_(index.columns).isEqual(columns);
+}
+
+function foreign_key_differs(fk, existing) {
+	return !_(fk.columns).isEqual(existing.columns) ||
+		fk.table !== existing.table ||
+		!_(fk.refColumns).isEqual(existing.refColumns) ||
+		fk.onUpdate !== existing.onUpdate ||
+		fk.onDelete !== existing.onDelete;
+}
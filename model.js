@@ -0,0 +1,427 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var util = require('util');
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+var errors = require('./errors');
+var sql = require('./sql');
+var hooks = require('./hooks');
+var validate = require('./validate');
+
+var names = utils.names;
+
+// model
+// =====
+// Model classes, whose instances are the rows returned by load and loadMany
+//
+// Each table has a model class, `orm.models[tableName]` (also stored in
+// `table.$model`).  The fields of an instance are getters and setters, which
+// record the fields that are assigned so that `row.save()` only updates the
+// columns which have changed.
+//
+//     orm.load(orm.schema.users, { username: 'mark' }, function (err, user) {
+//       user.role = { name: 'admin' };
+//       user.save(function (err) {
+//         // UPDATE `users` SET `role` = 3 WHERE `users`.`id` = 1
+//       });
+//     });
+//
+// New rows may be created with the model class, and are inserted when they
+// are first saved:
+//
+//     var user = new orm.models.users({ username: 'mark', role: { name: 'pleb' } });
+//     user.save(function (err) { console.log(user.id); });
+//
+// Only assignments are detected: a value which is modified in place (e.g. a
+// property of a JSON field) must be assigned again for it to be saved.
+//
+// Only the fields which were loaded (or assigned) are enumerable, so instances
+// may be passed to save(), compared and serialized like plain rows.  Fields
+// named `save`, `reload` or `delete` hide the corresponding methods.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// define_models
+// -------------
+// Defines the model class of each table of the schema
+//
+module.exports.define_models = function (orm) {
+	orm.models = {};
+	names(orm.schema).forEach(function (tableName) {
+		var table = orm.schema[tableName];
+		table.$model = orm.models[tableName] = define_model(orm, table);
+	});
+};
+
+// loaded
+// ------
+// Creates an instance of the model of a table from a row loaded from the
+// database, with no dirty fields
+//
+module.exports.loaded = function (table, values) {
+	var row = new table.$model(values);
+	row.$dirty = {};
+	row.$new = false;
+	row.$key = primary_key(table, row.$values);
+	return row;
+};
+
+/*
+ * Generates the model class of a table
+ */
+function define_model(orm, table) {
+	var fieldNames = names(table).concat(utils.relations(table));
+	_(['save', 'reload', 'delete', 'toJSON']).intersection(fieldNames)
+		.forEach(function (name) {
+			orm.warn('Field "' + name + '" of table ' + table.$fullname +
+				' hides the method of the same name on its rows');
+		});
+	/*
+	 * Creates a row which has not been saved yet, with the given values (all
+	 * of which are dirty)
+	 */
+	var Model = function (values) {
+		var self = this;
+		Object.defineProperty(this, '$values', { value: {}, writable: true });
+		Object.defineProperty(this, '$dirty', { value: {}, writable: true });
+		Object.defineProperty(this, '$key', { value: null, writable: true });
+		Object.defineProperty(this, '$new', { value: true, writable: true });
+		fieldNames.forEach(function (name) {
+			Object.defineProperty(self, name, {
+				get: function () {
+					return self.$values[name];
+				},
+				set: function (value) {
+					set_value(self, name, value);
+				},
+				enumerable: false,
+				configurable: true
+			});
+		});
+		_(values || {}).each(function (value, name) {
+			if (_(fieldNames).contains(name)) {
+				set_value(self, name, value);
+			}
+			else {
+				self[name] = value;
+			}
+		});
+	};
+	Object.defineProperty(Model.prototype, '$table', { value: table });
+	_(methods).each(function (fn, name) {
+		Object.defineProperty(Model.prototype, name, {
+			value: fn,
+			writable: true,
+			configurable: true
+		});
+	});
+	if (util.inspect.custom) {
+		Object.defineProperty(Model.prototype, util.inspect.custom, {
+			value: function (depth, options) {
+				return util.inspect(this.toJSON(), options);
+			}
+		});
+	}
+	return Model;
+}
+
+/* Sets a field of a row and marks it as dirty */
+function set_value(row, name, value) {
+	row.$values[name] = value;
+	row.$dirty[name] = true;
+	if (!row.propertyIsEnumerable(name)) {
+		Object.defineProperty(row, name, { enumerable: true });
+	}
+}
+
+/* Methods of model instances */
+var methods = {};
+
+//
+// row.save([query] [callback])
+// --------
+//
+// Saves the row.  A row which was loaded is updated, setting only the columns
+// which have been assigned since it was loaded or last saved.  Nothing is
+// executed if none have.  A new row is inserted, and its auto-increment field
+// is set to the id assigned by MySQL.
+//
+// Foreign keys may be assigned search criteria (as for save), ids or rows of
+// the parent table.  The beforeSave and afterSave hooks (see hooks.js) are
+// called with the row itself, so fields assigned by beforeSave are saved.
+// The changed fields are validated first, see validate.js.
+//
+// If the table has a version column (see `$version` in index.js), a loaded
+// row is only updated if its version in the database is still the one which
+// was loaded, else a VersionConflictError is returned.  The version of the
+// row is incremented when it is saved.
+//
+//  + query - Transaction or query function (see beginTransaction)
+//  + callback - (err)
+//
+methods.save = utils.promisify(function () {
+	var args = row_args(this, arguments);
+	var query = args.query;
+	var callback = args.callback;
+	var self = this;
+	var table = this.$table;
+	var orm = table.$schema.$orm;
+	async.series([
+			async.apply(hooks.run_hooks, orm, table, 'beforeSave', [this], query,
+				{}),
+			function (callback) {
+				if (self.$new) {
+					insert_row(self, query, callback);
+				}
+				else {
+					update_row(self, query, callback);
+				}
+			},
+			async.apply(hooks.run_hooks, orm, table, 'afterSave', [this], query,
+				{})
+		],
+		function (err) { callback(err); });
+});
+
+/* Inserts a new row */
+function insert_row(self, query, callback) {
+	var table = self.$table;
+	var orm = table.$schema.$orm;
+	var values = foreign_values(table, _(self.$values).clone());
+	orm.save(query, table, values, { save: 'new', hooks: false },
+		function (err) {
+			if (err) {
+				return callback(err);
+			}
+			var auto = table.$auto_increment;
+			if (auto && !_(values[auto]).isUndefined() &&
+				_(self.$values[auto]).isUndefined()) {
+				set_value(self, auto, values[auto]);
+			}
+			/* The version the row was created with */
+			var version = table.$version;
+			if (version && _(self.$values[version]).isUndefined() &&
+				_(table[version].default).isNumber()) {
+				set_value(self, version, table[version].default);
+			}
+			self.$dirty = {};
+			self.$new = false;
+			self.$key = primary_key(table, self.$values);
+			callback(null);
+		});
+}
+
+/* Updates the dirty columns of a loaded row */
+function update_row(self, query, callback) {
+	var table = self.$table;
+	var orm = table.$schema.$orm;
+	/* The created timestamp is never overwritten */
+	var dirty = _(_(self.$dirty).keys()).difference(utils.created_fields(table));
+	var versioned = table.$version ? [table.$version] : [];
+	var version = table.$version && self.$values[table.$version];
+	var where = self.$key;
+	if (!dirty.length) {
+		return callback(null);
+	}
+	if (!self.$key) {
+		return callback(new Error('Cannot save row of table ' + table.$fullname +
+			': its primary key was not loaded'));
+	}
+	var invalid = validate.validate_rows(table, [_(self.$values).pick(dirty)],
+		'existing');
+	if (invalid) {
+		return callback(invalid);
+	}
+	if (version !== null && !_(version).isUndefined()) {
+		where = { $and: [self.$key, _.object(versioned, [version])] };
+	}
+	var row = foreign_values(table,
+		_(self.$values).pick(_(dirty).difference(versioned)));
+	dirty.forEach(function (name) {
+		if (table[name] && table[name].serialize) {
+			row[name] = table[name].serialize(row[name]);
+		}
+	});
+	async.waterfall([
+			function (callback) {
+				orm.lookupForeignIds(query, table, row, callback);
+			},
+			function (row, callback) {
+				async.parallel([
+						async.apply(sql.update, orm, table),
+						async.apply(sql.set, orm, names(row), row, versioned),
+						async.apply(sql.where, orm, query, table, where)
+					],
+					callback);
+			},
+			function (sqlParts, callback) {
+				query(sqlParts.join('\n'), null, function (err, res) {
+					callback(err, res);
+				});
+			}
+		],
+		function (err, res) {
+			if (err) {
+				return callback(err);
+			}
+			if (res.affectedRows === 0 && where !== self.$key) {
+				return callback(new errors.VersionConflictError(table, self.$key,
+					version));
+			}
+			if (res.affectedRows === 0) {
+				return callback(new errors.NotFoundError(table, self.$key));
+			}
+			if (where !== self.$key) {
+				self.$values[table.$version] = Number(version) + 1;
+			}
+			self.$dirty = {};
+			self.$key = primary_key(table, self.$values);
+			callback(null);
+		});
+}
+
+//
+// row.reload([query] [callback])
+// ----------
+//
+// Loads the row again from the database, discarding any unsaved changes.
+//
+//  + query - Transaction or query function (see beginTransaction)
+//  + callback - (err)
+//
+methods.reload = utils.promisify(function () {
+	var args = row_args(this, arguments);
+	var callback = args.callback;
+	var self = this;
+	var table = this.$table;
+	if (!this.$key) {
+		return callback(new Error('Cannot reload row of table ' +
+			table.$fullname + ': it has not been saved, or its primary key ' +
+			'was not loaded'));
+	}
+	table.$schema.$orm.load(args.query, table, this.$key, function (err, row) {
+		if (err) {
+			return callback(err);
+		}
+		names(self.$values).forEach(function (name) {
+			Object.defineProperty(self, name, { enumerable: false });
+		});
+		self.$values = {};
+		_(row.$values).each(function (value, name) {
+			set_value(self, name, value);
+		});
+		self.$dirty = {};
+		self.$key = primary_key(table, self.$values);
+		callback(null);
+	});
+});
+
+//
+// row.delete([query] [callback])
+// ----------
+//
+// Deletes the row from the database.  The row may be saved again afterwards,
+// which inserts it as a new row.
+//
+//  + query - Transaction or query function (see beginTransaction)
+//  + callback - (err)
+//
+methods.delete = utils.promisify(function () {
+	var args = row_args(this, arguments);
+	var callback = args.callback;
+	var self = this;
+	var table = this.$table;
+	if (!this.$key) {
+		return callback(new Error('Cannot delete row of table ' +
+			table.$fullname + ': it has not been saved, or its primary key ' +
+			'was not loaded'));
+	}
+	table.$schema.$orm.delete(args.query, table, this.$key, function (err) {
+		if (err) {
+			return callback(err);
+		}
+		_(self.$values).each(function (value, name) {
+			self.$dirty[name] = true;
+		});
+		self.$key = null;
+		self.$new = true;
+		callback(null);
+	});
+});
+
+//
+// row.toJSON()
+// ------------
+//
+// Returns the values of the row as a plain object
+//
+methods.toJSON = function () {
+	return _(this.$values).clone();
+};
+
+/* Parses the optional query and the callback of a row method */
+function row_args(row, args) {
+	args = [].slice.apply(args);
+	var query = utils.query_of(args[0]);
+	if (query) {
+		args.shift();
+	}
+	return {
+		query: query || row.$table.$schema.$orm.query,
+		callback: args[0]
+	};
+}
+
+/*
+ * Replaces rows of parent tables given as the values of foreign keys by the
+ * values of the keys which they reference
+ */
+function foreign_values(table, values) {
+	_(values).each(function (value, name) {
+		if (!value || !value.$table) {
+			return;
+		}
+		var relation = (table.$references || {})[name];
+		if (relation) {
+			delete values[name];
+			relation.columns.forEach(function (col, i) {
+				values[col] = value.$values[relation.references[i].$name];
+			});
+		}
+		else if (table[name] && table[name].references) {
+			values[name] = value.$values[table[name].references.$name];
+		}
+	});
+	return values;
+}
+
+/*
+ * The values of the primary key of a row, or null if the table has no primary
+ * key or they are not known
+ */
+function primary_key(table, values) {
+	if (!table.$primary.length) {
+		return null;
+	}
+	var key = foreign_values(table, _(values).pick(table.$primary));
+	var known = _(table.$primary).every(function (name) {
+		return !_(key[name]).isUndefined() && !_(key[name]).isNull();
+	});
+	return known ? key : null;
+}
@@ -17,6 +17,8 @@ var async = require('async');
 var _ = require('underscore');
 
 var utils = require('./utils');
+var hooks = require('./hooks');
+var validate = require('./validate');
 var names = utils.names;
 var indent = utils.indent;
 
@@ -33,13 +35,21 @@ var indent = utils.indent;
 //  + Resolves references in `field.type` and `field.references`.
 //  + Resolves types for implicit references
 //  + Generates names for keys (index/unique) if none was explicity specified.
+//  + Normalizes table-level `$indexes` and `$unique` declarations.
+//  + Parses table-level `$references` (composite foreign keys).
+//  + Normalizes `$naturalKey` to an array, defaulting to the primary key.
+//  + Normalizes `$hooks` to arrays of functions, see hooks.js.
+//  + Checks the version field named by `$version`, if any.
+//  + Checks the soft delete field named by `$softDelete`, if any.
+//  + Generates the validation rules of each field, see validate.js.
 //  + Generates names for foreign keys, stores in `field.$fkname`.
-//  + Stores looked-up type in `field.$type`; `field.type` may be overwritten
+//  + Stores looked-up type in `field.$datatype`; `field.type` may be overwritten
 //    for implicit references by the type of the referred field.
 //
 module.exports.parse_schema = parse_schema;
 function parse_schema(orm) {
 	var schema = orm.schema;
+	schema.$types = schema.$types || {};
 	/* Resolve aliases */
 	names(schema.$types).forEach(function resolve_alias(alias) {
 		var type = schema.$types[alias];
@@ -67,7 +77,7 @@ function parse_schema(orm) {
 				field.type = orm.schema.$types[field.type];
 			}
 			/* Store resolved type */
-			field.$type = field.type;
+			field.$datatype = field.type;
 			/* Builtin primary key type */
 			if (field.type === '::id') {
 				field.type = 'INTEGER';
@@ -127,6 +137,53 @@ function parse_schema(orm) {
 					_(field.onDelete).isString() ? field.onDelete : 'restrict');
 			}
 		});
+		/* Table-level indexes and unique keys */
+		table.$indexes = parse_indexes(orm, table, '$indexes', false);
+		table.$unique = parse_indexes(orm, table, '$unique', true);
+		/* Lifecycle hooks */
+		table.$hooks = hooks.parse_hooks(orm, table.$hooks,
+			'table ' + table.$fullname);
+		/* Natural key, for syncing data */
+		if (table.$naturalKey) {
+			table.$naturalKey = _(table.$naturalKey).isArray() ?
+				table.$naturalKey : [table.$naturalKey];
+			table.$naturalKey.forEach(function (name) {
+				if (!_(name).isString() || name.charAt(0) === '$' ||
+					!_(table).has(name)) {
+					return orm.error('Field "' + name + '" of the natural key ' +
+						'of table ' + table.$fullname + ' not found');
+				}
+			});
+		}
+		else {
+			table.$naturalKey = table.$primary;
+		}
+		/* Version field, for optimistic locking */
+		if (table.$version) {
+			var version = table[table.$version];
+			if (!_(table.$version).isString() || !version) {
+				return orm.error('Version field "' + table.$version + '" of ' +
+					'table ' + table.$fullname + ' not found');
+			}
+			if (_(table.$primary).contains(table.$version) || version.nullable ||
+				version.references) {
+				return orm.error('Version field ' + version.$fullname + ' must ' +
+					'not be part of the primary key, nullable or a foreign key');
+			}
+		}
+		/* Soft delete field, see soft-delete.js */
+		if (table.$softDelete) {
+			var softDelete = table[table.$softDelete];
+			if (!_(table.$softDelete).isString() || !softDelete) {
+				return orm.error('Soft delete field "' + table.$softDelete +
+					'" of table ' + table.$fullname + ' not found');
+			}
+			if (_(table.$primary).contains(table.$softDelete) ||
+				softDelete.references) {
+				return orm.error('Soft delete field ' + softDelete.$fullname +
+					' must not be part of the primary key or a foreign key');
+			}
+		}
 	});
 	/* Resolve references */
 	all_refs.forEach(function (field) {
@@ -143,6 +200,10 @@ function parse_schema(orm) {
 				field.references.$name
 			].join('_');
 	});
+	/* Table-level (composite) references */
+	names(schema).forEach(function (tableName) {
+		parse_references(orm, schema[tableName]);
+	});
 	/* Resolve data types for implicit references */
 	var unresolved_implicit_refs = implicit_refs.length;
 	while (unresolved_implicit_refs > 0) {
@@ -161,6 +222,178 @@ function parse_schema(orm) {
 				_(implicit_refs).pluck('$fullname').join(', '));
 		}
 	}
+	/* Validation rules, once the types of all fields are known */
+	names(schema).forEach(function (tableName) {
+		var table = schema[tableName];
+		names(table).forEach(function (fieldName) {
+			validate.parse_rules(orm, table[fieldName]);
+		});
+	});
+}
+
+// parse_indexes
+// -------------
+// Normalizes the table-level `$indexes` or `$unique` declaration of a table to
+// an array of { name, unique, type, columns } objects, where type is null or
+// 'FULLTEXT' and columns is an array of { name, length, order } objects.
+//
+// The declaration is either an object of index definitions keyed by name, or
+// an array of index definitions, in which case the names are generated from
+// the column names (e.g. `user_title_uniq`).  An index definition is either an
+// array of column specifications or an object of the form
+// `{ columns: [...], type: 'fulltext' }`.
+//
+// A column specification is either a field name, optionally prefixed by `-`
+// for descending order and suffixed by a prefix length (e.g. `'-title(10)'`),
+// or an object of the form `{ name, length, order }`.
+//
+function parse_indexes(orm, table, key, unique) {
+	var decl = table[key];
+	if (!decl) {
+		return [];
+	}
+	var err = function (name, msg) {
+		return 'Failed to parse ' + (unique ? 'unique key' : 'index') +
+			(name ? ' "' + name + '"' : '') + ' of table ' + table.$fullname +
+			': ' + msg;
+	};
+	var list = _(decl).isArray() ?
+		decl.map(function (def) { return [null, def]; }) : _(decl).pairs();
+	return list.map(function (pair) {
+		var name = pair[0], def = pair[1];
+		if (_(def).isArray() || _(def).isString()) {
+			def = { columns: def };
+		}
+		var columns = _(def.columns).isArray() ? def.columns : [def.columns];
+		columns = columns.map(function (col) {
+			if (_(col).isString()) {
+				var match = col.match(/^([+-]?)\s*([^(\s]+)\s*(?:\(\s*(\d+)\s*\))?$/);
+				if (!match) {
+					return orm.error(err(name, 'invalid column "' + col + '"'));
+				}
+				col = {
+					name: match[2],
+					length: match[3] ? Number(match[3]) : null,
+					order: match[1] === '-' ? 'DESC' : 'ASC'
+				};
+			}
+			else {
+				col = {
+					name: col.name,
+					length: col.length || null,
+					order: String(col.order || 'ASC').toUpperCase()
+				};
+			}
+			if (col.name.charAt(0) === '$' || !_(table).has(col.name)) {
+				return orm.error(err(name, 'field "' + col.name + '" not found'));
+			}
+			return col;
+		});
+		if (!columns.length) {
+			return orm.error(err(name, 'no columns specified'));
+		}
+		var type = def.type ? String(def.type).toUpperCase() : null;
+		if (type !== null && type !== 'FULLTEXT') {
+			return orm.error(err(name, 'unrecognised index type "' + def.type +
+				'"'));
+		}
+		if (type && unique) {
+			return orm.error(err(name, 'unique keys cannot be FULLTEXT'));
+		}
+		return {
+			name: name || _(columns).pluck('name').join('_') +
+				(unique ? '_uniq' : '_idx'),
+			unique: unique,
+			type: type,
+			columns: columns
+		};
+	});
+}
+
+// parse_references
+// ----------------
+// Parses the table-level `$references` declaration of a table, which defines
+// foreign keys over several columns (e.g. referencing a composite primary
+// key):
+//
+//     $references: {
+//       order: {
+//         columns: ['order_id', 'order_version'],
+//         references: 'orders',        // or ['orders.id', 'orders.version']
+//         onDelete: 'cascade',
+//         onUpdate: 'cascade'
+//       }
+//     }
+//
+// A table name references the primary key of that table.  Each relation is
+// normalized to an object with `$type: 'relation'`, `$name`, `$table`,
+// `$fullname` and `$fkname` properties like those of fields, where
+// `references` is the array of referenced fields.
+//
+// The name of the relation is used for search criteria on the parent row and
+// for the looked up parent row, so it must not be the name of a field.
+//
+function parse_references(orm, table) {
+	var decl = table.$references || {};
+	table.$references = {};
+	_(decl).each(function (def, name) {
+		var fullname = table.$fullname + '.' + mysql.escapeId(name);
+		var err = function (msg) {
+			return 'Failed to parse reference ' + fullname + ': ' + msg;
+		};
+		if (name.charAt(0) === '$' || _(table).has(name)) {
+			return orm.error(err('the name of a reference must not begin ' +
+				'with $ or be the name of a field'));
+		}
+		var columns = _(def.columns).isArray() ? def.columns : [def.columns];
+		columns.forEach(function (col) {
+			if (!_(col).isString() || col.charAt(0) === '$' ||
+				!_(table).has(col)) {
+				return orm.error(err('field "' + col + '" not found'));
+			}
+		});
+		var references;
+		if (_(def.references).isString() && def.references.indexOf('.') === -1) {
+			var target = def.references;
+			if (target.charAt(0) === '$' || !_(orm.schema).has(target)) {
+				return orm.error(err('Table ' + mysql.escapeId(target) +
+					' not found'));
+			}
+			references = orm.schema[target].$primary.map(function (col) {
+				return orm.schema[target][col];
+			});
+		}
+		else {
+			references = (_(def.references).isArray() ? def.references :
+				[def.references]).map(function (ref) {
+					return resolve_field(orm, fullname, ref);
+				});
+		}
+		if (references.length !== columns.length) {
+			return orm.error(err(columns.length + ' columns cannot reference ' +
+				references.length + ' fields'));
+		}
+		if (_(references).pluck('$table').some(function (t) {
+				return t !== references[0].$table;
+			})) {
+			return orm.error(err('referenced fields must be in one table'));
+		}
+		table.$references[name] = {
+			$type: 'relation',
+			$name: name,
+			$table: table,
+			$schema: table.$schema,
+			$fullname: fullname,
+			$fkname: [table.$name, name, 'fk', references[0].$table.$name]
+				.join('_'),
+			columns: columns,
+			references: references,
+			onUpdate: reference_option(orm,
+				_(def.onUpdate).isString() ? def.onUpdate : 'restrict'),
+			onDelete: reference_option(orm,
+				_(def.onDelete).isString() ? def.onDelete : 'restrict')
+		};
+	});
 }
 
 // resolve_field
@@ -185,7 +418,8 @@ function resolve_field(orm, fullname, str) {
 		if (orm.schema[table].$primary.length > 1) {
 			return orm.error(err('Target table "' + table + '" has a ' +
 				'composite primary key and no target field was explicitly ' +
-				'specified in the relation definition'));
+				'specified in the relation definition, use $references for ' +
+				'a composite foreign key'));
 		} else
 		if (orm.schema[table].$primary.length === 0) {
 			return orm.error(err('No field was specified and the target ' +
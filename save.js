@@ -17,7 +17,11 @@ var async = require('async');
 var _ = require('underscore');
 
 var utils = require('./utils');
+var errors = require('./errors');
 var sql = require('./sql');
+var dependencies = require('./dependencies');
+var hooks = require('./hooks');
+var validate = require('./validate');
 
 var names = utils.names;
 var parse_args = utils.parse_args;
@@ -49,6 +53,20 @@ module.exports = ORM.prototype;
 //        + 'new' - Only create a new row, fail on existing id
 //        + 'existing' - Only update existing row, fail if id is not found
 //        + 'always' (default) - create or update
+//     + hooks (default: true) - Set to false to skip the beforeSave and
+//       afterSave hooks, see hooks.js
+//     + validate (default: true) - Set to false to skip validation of the
+//       row, see validate.js.  A row which fails validation is not saved, and
+//       a ValidationError is returned.
+// 
+// The created timestamp of a table with `$timestamps` (see index.js) is never
+// overwritten when an existing row is updated.
+// 
+// For a table with a version column (see `$version` in index.js), the version
+// is incremented whenever an existing row is updated.  With the 'existing'
+// save mode, if the row gives its version, it is only saved if its version is
+// still the one given (else a VersionConflictError is returned), and the
+// version of the row is then incremented.
 // 
 // ### Example which creates a new record
 // 
@@ -84,12 +102,23 @@ ORM.prototype.save = function () {
 	var options = args.options;
 	var callback = args.callback;
 	var self = this;
-	var row = _(originalRow).clone();
+	var row;
 	async.waterfall([
+			async.apply(hooks.run_hooks, self, table, 'beforeSave', [originalRow],
+				query, options),
+			function (callback) {
+				callback(options.validate === false ? null :
+					validate.validate_rows(table, [originalRow], options.save));
+			},
 			function (callback) {
-				/* Serialize */
+				row = _(originalRow).clone();
+				/*
+				 * Serialize (only the given fields when updating, so that the
+				 * others are not overwritten with their defaults)
+				 */
 				_(table).keys().forEach(function (key) {
-					if (table[key].serialize) {
+					if (table[key].serialize &&
+						(options.save !== 'existing' || _(row).has(key))) {
 						row[key] = table[key].serialize(row[key]);
 					}
 				});
@@ -101,12 +130,17 @@ ORM.prototype.save = function () {
 			},
 			function (callback) {
 				var saveMode = options.save || 'always';
+				/* The version column is incremented instead of being set */
+				var versioned = table.$version ? [table.$version] : [];
+				var fields = _(names(row))
+					.difference(versioned, utils.created_fields(table));
+				var version = table.$version && row[table.$version];
 				if (saveMode === 'always') {
 					async.parallel([
 							async.apply(sql.insertInto, self, table),
 							async.apply(sql.set, self, names(row), row),
 							async.apply(sql.onDuplicateKeyUpdate, self,
-								_(names(row)).without(table.$primary))
+								_(fields).without(table.$primary), versioned)
 						],
 						function (err, data) {
 							if (err) {
@@ -133,10 +167,15 @@ ORM.prototype.save = function () {
 							'row: table has no primary key'));
 					}
 					var criteria = _(row).pick(table.$primary);
+					var where = criteria;
+					if (version !== null && !_(version).isUndefined()) {
+						where = { $and: [criteria,
+							_.object([table.$version], [version])] };
+					}
 					async.parallel([
 							async.apply(sql.update, self, table),
-							async.apply(sql.set, self, _(names(row)).without(table.$primary), row),
-							async.apply(sql.where, self, query, table, criteria)
+							async.apply(sql.set, self, _(fields).without(table.$primary), row, versioned),
+							async.apply(sql.where, self, query, table, where)
 						],
 						function (err, data) {
 							if (err) {
@@ -154,9 +193,16 @@ ORM.prototype.save = function () {
 						if (err) {
 							return callback(err);
 						}
+						if (res.affectedRows === 0 && where !== criteria) {
+							return callback(new errors.VersionConflictError(table,
+								criteria, version));
+						}
 						if (res.affectedRows === 0) {
-							return callback(new Error('Failed to save row ' +
-								'with mode ' + saveMode));
+							return callback(new errors.NotFoundError(table,
+								criteria, 'Failed to save row with mode ' + saveMode));
+						}
+						if (saveMode === 'existing' && where !== criteria) {
+							originalRow[table.$version] = Number(version) + 1;
 						}
 						if (_(res).has('insertId')) {
 							originalRow[table.$auto_increment] = res.insertId;
@@ -164,7 +210,9 @@ ORM.prototype.save = function () {
 						callback(err);
 					});
 				}
-			}
+			},
+			async.apply(hooks.run_hooks, self, table, 'afterSave', [originalRow],
+				query, options)
 		],
 		function (err) { callback(err); });
 };
@@ -177,12 +225,28 @@ ORM.prototype.save = function () {
 // 
 // Saves a load of rows to the table, updating when the primary key value
 // matches an existing row and inserting otherwise.  Foreign key values are
-// looked up automatically.  Internally, this calls save.
+// looked up automatically, once for each distinct search criteria.
+// 
+// Rows are saved with multi-row `INSERT ... VALUES (...), (...)` statements
+// (with `ON DUPLICATE KEY UPDATE` unless the save mode is 'new'), one for
+// each batch of rows having the same fields.  With the 'existing' save mode,
+// each row is saved by save() instead.
 // 
 //  + table - A table definition from the schema.
 //  + rows - An array of rows to save.  Foreign key values are resolved, see the
 //    foreign-keys module for more information.
-//  + options - see documentation for save()
+//  + options - see documentation for save(), and:
+//     + batchSize (default: 1000) - Maximum number of rows per INSERT
+// 
+// All the rows are validated before any of them is saved, and the
+// ValidationError lists the failures of every row.
+// 
+// As with save(), the auto-increment field of each row which did not specify
+// it is set to the id assigned by MySQL.  The ids of a batch are assumed to be
+// consecutive (spaced by the server's `auto_increment_increment`), which MySQL
+// guarantees unless `innodb_autoinc_lock_mode` is 2 and other sessions insert
+// into the same table concurrently.  If any row of a batch updated an existing
+// row, the ids cannot be told apart and are not set (a warning is logged).
 // 
 // ### Example
 // 
@@ -209,41 +273,175 @@ ORM.prototype.saveMany = function () {
 	var args = parse_args(this, arguments);
 	var query = args.query;
 	var table = args.table;
-	var rows = args.data;
+	var originalRows = args.data;
 	var options = args.options;
 	var callback = args.callback;
 	var self = this;
-	async.each(rows,
-		function (row, callback) {
-			self.save(query, table, row, options, callback);
-		},
+	var saveMode = options.save || 'always';
+	var beforeSave = async.apply(hooks.run_hooks, self, table, 'beforeSave',
+		originalRows, query, options);
+	var afterSave = async.apply(hooks.run_hooks, self, table, 'afterSave',
+		originalRows, query, options);
+	/* All the rows are validated before any of them is saved */
+	var validateRows = function (callback) {
+		callback(options.validate === false ? null :
+			validate.validate_rows(table, originalRows, saveMode));
+	};
+	if (saveMode === 'existing') {
+		var rowOptions = _({}).extend(options, { hooks: false, validate: false });
+		return async.series([
+				beforeSave,
+				validateRows,
+				function (callback) {
+					async.each(originalRows,
+						function (row, callback) {
+							self.save(query, table, row, rowOptions, callback);
+						},
+						callback);
+				},
+				afterSave
+			],
+			function (err) { callback(err); });
+	}
+	if (saveMode !== 'always' && saveMode !== 'new') {
+		return callback(new Error('Unknown save mode: ' + saveMode));
+	}
+	var batchSize = options.batchSize || 1000;
+	var auto = table.$auto_increment;
+	var step = 1;
+	var cache = {};
+	async.waterfall([
+			beforeSave,
+			validateRows,
+			/* Serialize and lookup reference IDs */
+			function (callback) {
+				async.map(originalRows,
+					function (originalRow, callback) {
+						var row = _(originalRow).clone();
+						_(table).keys().forEach(function (key) {
+							if (table[key].serialize) {
+								row[key] = table[key].serialize(row[key]);
+							}
+						});
+						if (auto && (_(row[auto]).isNull() ||
+							_(row[auto]).isUndefined())) {
+							delete row[auto];
+						}
+						self.lookupForeignIds(query, table, row, { cache: cache },
+							callback);
+					},
+					callback);
+			},
+			/* Batch rows having the same fields */
+			function (rows, callback) {
+				var batches = [];
+				var groups = {};
+				rows.forEach(function (row, i) {
+					var keys = names(row);
+					var signature = JSON.stringify(_(keys).sortBy(_.identity));
+					var batch = groups[signature];
+					if (!batch || batch.rows.length >= batchSize) {
+						batch = groups[signature] = { keys: keys, rows: [], originals: [] };
+						batches.push(batch);
+					}
+					batch.rows.push(row);
+					batch.originals.push(originalRows[i]);
+				});
+				callback(null, batches);
+			},
+			/* Read the step between the ids of the inserted rows */
+			function (batches, callback) {
+				var assigned = auto && _(batches).some(function (batch) {
+					return !_(batch.keys).contains(auto);
+				});
+				if (!assigned) {
+					return callback(null, batches);
+				}
+				query('SELECT @@auto_increment_increment AS step', null,
+					function (err, res) {
+						if (err) {
+							return callback(err);
+						}
+						step = Number(res[0].step);
+						callback(null, batches);
+					});
+			},
+			function (batches, callback) {
+				async.eachSeries(batches, saveBatch, callback);
+			},
+			afterSave
+		],
 		function (err) { callback(err); });
+	/* Executes the INSERT for a batch of rows */
+	function saveBatch(batch, callback) {
+		var keys = batch.keys;
+		var clauses = [
+				async.apply(sql.insertInto, self, table),
+				async.apply(sql.values, self, keys, batch.rows)
+			];
+		if (saveMode === 'always') {
+			var versioned = table.$version ? [table.$version] : [];
+			var created = utils.created_fields(table);
+			var update = _(keys)
+				.difference(table.$primary, versioned, created);
+			/* A no-op assignment when only the primary key is given */
+			var noop = _(keys).difference(created).concat(keys).slice(0, 1);
+			clauses.push(async.apply(sql.onDuplicateKeyUpdate, self,
+				update.length || versioned.length ? update : noop, versioned));
+		}
+		async.parallel(clauses, function (err, data) {
+			if (err) {
+				return callback(err);
+			}
+			query(data.join('\n'), null, function (err, res) {
+				if (err) {
+					return callback(err);
+				}
+				if (auto && !_(keys).contains(auto) && res.insertId) {
+					var duplicates = String(res.message).match(/Duplicates:\s*(\d+)/);
+					var inserted = duplicates ? Number(duplicates[1]) === 0 :
+						res.affectedRows === batch.rows.length;
+					if (inserted) {
+						batch.originals.forEach(function (row, i) {
+							row[auto] = res.insertId + i * step;
+						});
+					}
+					else {
+						self.warn('saveMany: some rows of ' + table.$fullname +
+							' updated existing rows, so the ids of the inserted ' +
+							'rows are unknown');
+					}
+				}
+				callback(null);
+			});
+		});
+	}
 };
 
 // 
-// saveMultipleTables(data, callback)
+// saveMultipleTables([query] data callback)
 // ------------------
 // 
 // Save sets of rows to several tables, looking up foreign keys where needed.
 // 
 //  + data - An object of the form { tableName: rows, tableName: rows, ... }.
 //    
-// Note: tables are procesed in the order that their fields appear in the data
-// object.  This relies on V8 honouring field order, which ECMAScript specs do
-// not require it to do.  This also makes circular dependencies on foreign keys
-// impossible to process with a single call to this function.  Internally, this
-// calls saveMany.
+// The tables are saved in order of their foreign keys, parent tables first,
+// so that the foreign keys of the rows can be looked up.  Self-referencing
+// foreign keys (e.g. `employees.manager`) and nullable foreign keys which form
+// a cycle between tables are saved as null at first, then set by updating the
+// rows once all the tables have been saved.  This requires the primary key of
+// those rows, which is either given or assigned by auto-increment.  See
+// dependencies.js for details.
+// 
+// All rows are saved in one transaction.  Internally, this calls saveMany.  If
+// a transaction is given, or if this is called on a transaction, the rows are
+// saved in a nested transaction within it (see beginTransaction).
 // 
 // ### Example
 // 
 //     saveMultipletables(
 //       {
-//         countries: [
-//           { id: 44, name: 'United Kingdom' },
-//           { id: 372, name: 'Estonia' }],
-//         roles: [
-//           { name: 'admin', rights: '*' },
-//           { name: 'ploom', rights: 'being_awesome,being_a_ploom' }],
 //         users: [
 //           { 
 //             name: 'mark',
@@ -254,33 +452,124 @@ ORM.prototype.saveMany = function () {
 //             name: 'marili',
 //             country: { name: 'Estonia' },
 //             role: { name: 'ploom' }
-//           }]
+//           }],
+//         countries: [
+//           { id: 44, name: 'United Kingdom' },
+//           { id: 372, name: 'Estonia' }],
+//         roles: [
+//           { name: 'admin', rights: '*' },
+//           { name: 'ploom', rights: 'being_awesome,being_a_ploom' }]
 //       },
 //       function (err) { ... });
 // 
-ORM.prototype.saveMultipleTables = function (data, callback) {
+ORM.prototype.saveMultipleTables = function () {
+	var args = [].slice.apply(arguments);
+	var outer = utils.query_of(args[0]);
+	if (outer) {
+		args.shift();
+	}
+	var data = args[0];
+	var callback = args[1];
 	var self = this;
-	this.beginTransaction(function (err, transaction) {
+	var tableNames = names(data).filter(function (tableName) {
+		return !!data[tableName];
+	});
+	var unknown = _(tableNames).difference(names(this.schema));
+	if (unknown.length) {
+		return callback(new Error('Tables not found in schema: ' +
+			unknown.join(', ')));
+	}
+	dependencies.order_tables(this, tableNames, function (err, plan) {
 		if (err) {
 			return callback(err);
 		}
-		async.series([
-				function (callback) {
-					async.eachSeries(names(data),
-						function (tableName, callback) {
-							if (data[tableName]) {
-								self.saveMany(transaction.query, tableName, data[tableName], callback);
-							}
-						},
-						callback);
-				},
-				transaction.commit
-			],
-			function (err) {
-				if (err) {
-					return transaction.rollback(function () { callback(err); });
+		self.beginTransaction(outer || self.query, function (err, transaction) {
+			if (err) {
+				return callback(err);
+			}
+			async.series([
+					function (callback) {
+						async.eachSeries(plan.order,
+							function (tableName, callback) {
+								saveTable(self, transaction.query, tableName,
+									data[tableName], plan.deferred[tableName], callback);
+							},
+							callback);
+					},
+					function (callback) {
+						async.eachSeries(_(plan.deferred).keys(),
+							function (tableName, callback) {
+								patchTable(self, transaction.query, tableName,
+									data[tableName], plan.deferred[tableName], callback);
+							},
+							callback);
+					},
+					transaction.commit
+				],
+				function (err) {
+					if (err) {
+						return transaction.rollback(function () { callback(err); });
+					}
+					callback(null);
+				});
+		});
+	});
+};
+
+/*
+ * Saves the rows of a table without the deferred foreign keys, and copies the
+ * ids assigned to the rows back to the original rows
+ */
+function saveTable(self, query, tableName, rows, deferred, callback) {
+	if (!deferred) {
+		return self.saveMany(query, tableName, rows, callback);
+	}
+	var auto = self.schema[tableName].$auto_increment;
+	var copies = rows.map(function (row) {
+		return _(row).omit(deferred);
+	});
+	self.saveMany(query, tableName, copies, function (err) {
+		if (err) {
+			return callback(err);
+		}
+		if (auto) {
+			copies.forEach(function (copy, i) {
+				if (!_(copy[auto]).isUndefined()) {
+					rows[i][auto] = copy[auto];
 				}
-				callback(null);
 			});
+		}
+		callback(null);
 	});
-};
+}
+
+/*
+ * Sets the deferred foreign keys of the rows of a table
+ */
+function patchTable(self, query, tableName, rows, deferred, callback) {
+	var table = self.schema[tableName];
+	var patches = [];
+	for (var i = 0; i < rows.length; i++) {
+		var values = _(rows[i]).pick(deferred);
+		if (!_(values).keys().length) {
+			continue;
+		}
+		var key = _(rows[i]).pick(table.$primary);
+		if (!table.$primary.length ||
+			_(key).keys().length !== table.$primary.length ||
+			_(key).some(function (value) {
+				return _(value).isNull() || _(value).isUndefined();
+			})) {
+			return callback(new Error('Cannot set foreign keys ' +
+				deferred.join(', ') + ' of a row of ' + table.$fullname +
+				' after saving it: its primary key is not known'));
+		}
+		patches.push(_(key).extend(values));
+	}
+	async.eachSeries(patches,
+		function (patch, callback) {
+			self.save(query, table, patch, { save: 'existing', hooks: false },
+				callback);
+		},
+		callback);
+}
@@ -0,0 +1,105 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var _ = require('underscore');
+
+// soft-delete
+// ===========
+// Soft deletion of the rows of tables which declare a `$softDelete` column
+//
+//     posts: {
+//       $softDelete: 'deleted',
+//       deleted: { type: 'boolean' },
+//       ...
+//     }
+//
+// The column is either a flag, which is true for deleted rows, or a
+// `DATETIME`, `TIMESTAMP` or `DATE` column holding the time at which the row
+// was deleted, which is null for rows which are not.  It is created as a
+// nullable `DATETIME` if the table does not define it.
+//
+// delete and deleteMany set the column instead of deleting the rows, unless
+// the `force` option is given, and restore clears it again.  load, loadMany,
+// count, aggregate and lookupForeignId leave out deleted rows, unless one of
+// these options is given:
+//
+//  + withDeleted - Include deleted rows
+//  + onlyDeleted - Only return deleted rows
+//
+// The parent rows of foreign keys which are looked up by loadMany are
+// returned whether or not they were deleted, as the references still exist.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// criteria
+// --------
+// Adds the condition on the soft delete column of the table (if it has one) to
+// search criteria, as given by the withDeleted and onlyDeleted options.
+//
+module.exports.criteria = function (table, criteria, options) {
+	if (!table.$softDelete || options.withDeleted) {
+		return criteria;
+	}
+	var condition = options.onlyDeleted ? deleted(table) : not_deleted(table);
+	if (!criteria || _(criteria).isEmpty()) {
+		return condition;
+	}
+	/*
+	 * Not merged into the criteria, as sql.where ignores the other criteria
+	 * when they contain a simple primary key
+	 */
+	return { $and: [criteria, condition] };
+};
+
+// value
+// -----
+// Returns the value to set the soft delete column of the table to, for rows
+// which are deleted (or restored if deleted is false).
+//
+module.exports.value = function (table, deleted) {
+	if (is_time(table[table.$softDelete])) {
+		return deleted ? new Date() : null;
+	}
+	return deleted;
+};
+
+// deleted
+// -------
+// Returns criteria matching the deleted rows of the table.
+//
+module.exports.deleted = deleted;
+function deleted(table) {
+	var name = table.$softDelete;
+	return _.object([name], [is_time(table[name]) ? { $null: false } : true]);
+}
+
+/* Criteria matching rows which are not deleted */
+function not_deleted(table) {
+	var name = table.$softDelete;
+	var field = table[name];
+	if (is_time(field)) {
+		return _.object([name], [{ $null: true }]);
+	}
+	if (field.nullable) {
+		return { $or: [_.object([name], [false]),
+			_.object([name], [{ $null: true }])] };
+	}
+	return _.object([name], [false]);
+}
+
+/* Whether the soft delete column holds the time of deletion */
+function is_time(field) {
+	return /^(datetime|timestamp|date)\b/i.test(String(field.type));
+}
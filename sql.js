@@ -17,6 +17,7 @@ var async = require('async');
 var _ = require('underscore');
 
 var utils = require('./utils');
+var joins = require('./joins');
 var names = utils.names;
 var shift = utils.shift;
 
@@ -51,6 +52,112 @@ module.exports.select = function (self, fields, callback) {
 	}
 };
 
+// 
+// SELECT <aliased columns>
+// ------
+// 
+// Selects the columns of every table in a join plan, each under an alias
+// giving its path from the root table.  See joins.js for details.
+// 
+module.exports.selectJoined = function (self, plan, callback) {
+	callback(null, 'SELECT\n\t' + joins.columns(plan).map(
+		function (col) {
+			return mysql.escapeId(col.alias, true) + '.' +
+				mysql.escapeId(col.name, true) + ' AS ' +
+				mysql.escapeId(col.as, true);
+		}).join(',\n\t'));
+};
+
+// 
+// LEFT JOIN <table name> AS <alias> ON <alias.key = parent.foreign key>
+// ---------
+// 
+// Joins the parent tables of the foreign keys in a join plan.  See joins.js
+// for details.
+// 
+module.exports.leftJoins = function (self, plan, callback) {
+	var list = joins.joins(plan);
+	if (!list.length) {
+		return callback(null);
+	}
+	callback(null, list.map(
+		function (join) {
+			return 'LEFT JOIN ' + mysql.escapeId(join.table.$name) + ' AS ' +
+				mysql.escapeId(join.alias, true) + ' ON ' + join.on.map(
+					function (pair) {
+						return mysql.escapeId(join.alias, true) + '.' +
+							mysql.escapeId(pair[0], true) + ' = ' +
+							mysql.escapeId(join.parent, true) + '.' +
+							mysql.escapeId(pair[1], true);
+					}).join(' AND ');
+		}).join('\n'));
+};
+
+// 
+// SELECT <grouped fields>, <aggregates>
+// ------
+// 
+// Selects the fields which are grouped on, followed by the aggregates.
+// Aggregates are specified as { alias: { $function: field } }, where the
+// functions are:
+// 
+//  + $count - Number of rows (field is '*') or of non-null values of a field
+//  + $countDistinct - Number of distinct non-null values of a field
+//  + $sum, $avg - Sum / average of the values of a field
+//  + $min, $max - Lowest / highest value of a field
+// 
+module.exports.selectAggregates = function (self, table, groupBy, aggregates,
+		callback) {
+	var columns = groupBy.map(function (name) {
+		return mysql.escapeId(table.$name) + '.' + mysql.escapeId(name) +
+			' AS ' + mysql.escapeId(name, true);
+	});
+	var aliases = _(aggregates).keys();
+	for (var i = 0; i < aliases.length; i++) {
+		var alias = aliases[i];
+		var spec = aggregates[alias];
+		var fn = _(spec).keys()[0];
+		if (!_(aggregateFunctions).has(fn) || _(spec).keys().length !== 1) {
+			return callback(new Error('Aggregate "' + alias + '" must be an ' +
+				'object with one of the properties ' +
+				_(aggregateFunctions).keys().join(', ')));
+		}
+		var field = spec[fn];
+		if (_(field).isObject() && field.$type === 'field') {
+			field = field.$name;
+		}
+		var arg;
+		if (fn === '$count' && (field === '*' || field === true)) {
+			arg = '*';
+		}
+		else if (_(field).isString() && field.charAt(0) !== '$' &&
+			_(table).has(field)) {
+			arg = mysql.escapeId(table.$name) + '.' + mysql.escapeId(field);
+		}
+		else {
+			return callback(new Error('Field ' + JSON.stringify(field) + ' of ' +
+				'aggregate "' + alias + '" not found in table "' +
+				table.$name + '"'));
+		}
+		columns.push(aggregateFunctions[fn].replace('?', arg) + ' AS ' +
+			mysql.escapeId(alias, true));
+	}
+	if (!columns.length) {
+		return callback(new Error('No aggregates or grouped fields specified'));
+	}
+	callback(null, 'SELECT\n\t' + columns.join(',\n\t'));
+};
+
+/* Aggregate functions, ? is replaced by the argument */
+var aggregateFunctions = {
+	$count: 'COUNT(?)',
+	$countDistinct: 'COUNT(DISTINCT ?)',
+	$sum: 'SUM(?)',
+	$avg: 'AVG(?)',
+	$min: 'MIN(?)',
+	$max: 'MAX(?)'
+};
+
 // 
 // DELETE
 // ------
@@ -134,50 +241,348 @@ module.exports.from = function (self, table, callback) {
 // -----
 // 
 // Properties of criteria are used to generate search constraints.  Foreign row
-// IDs are looked up where necessary to generate these constraints.
+// IDs are looked up where necessary to generate these constraints.  Column
+// names are qualified with the table name, so the clause may be used in
+// queries which join other tables.
+// 
+// The value of a property may be an object of operators, which are combined
+// with AND, instead of a value to test for equality:
+// 
+//  + $eq, $ne - Equal to / not equal to the operand
+//  + $gt, $gte, $lt, $lte - Greater than (or equal to) / less than (or equal
+//    to) the operand
+//  + $like - Matches the LIKE pattern
+//  + $in, $nin - In / not in the array of operands
+//  + $between - Between the two operands in the array [low, high], inclusive
+//  + $null - Is NULL when true, is NOT NULL when false
+// 
+// Operands are serialized by the field's serializer, except for $like
+// patterns, which are matched against the serialized value.  Operands for
+// foreign-key fields may also be search criteria for the parent row, which
+// are looked up as for plain values.
+// 
+//     {
+//       date: { $gt: someDate },
+//       title: { $like: 'foo%' },
+//       id: { $in: [1, 2, 3] },
+//       user: { $in: [{ username: 'mark' }, { username: 'marili' }] },
+//       deleted: { $null: true }
+//     }
+// 
+// Criteria on a composite foreign key (see `$references` in parse-schema.js)
+// are given under the name of the relation, as search criteria for the parent
+// row or null.
+// 
+//     { order: { number: 1234 } }
+// 
+// Criteria may be composed with the boolean operators $and and $or, each of
+// which takes an array of criteria objects, and $not, which takes a criteria
+// object.  Foreign keys are looked up within each branch.
+// 
+//     {
+//       deleted: false,
+//       $or: [
+//         { user: { username: 'mark' } },
+//         { title: 'X', $not: { date: { $lt: someDate } } }
+//       ]
+//     }
 // 
 module.exports.where = function (self, query, table, criteria, callback) {
-	var cols = _(criteria).keys();
-	criteria = _(criteria).clone();
-	if (table.$primary.length === 1 && _(criteria).has(table.$primary)) {
-		var primary = table.$primary[0];
-		criteria = _.object([primary], [criteria[primary]]);
-		cols = [primary]
+	if (_(table).isString()) {
+		table = self.schema[table];
 	}
-	if (cols.length) {
-		if (_(table).isString()) {
-			table = self.schema[table];
+	conditions(tableScope(self, query, table), criteria || {},
+		function (err, list) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, list.length ? 'WHERE\n\t' + list.join(' AND\n\t') :
+				undefined);
+		});
+};
+
+/*
+ * Scope for criteria on the columns of a table, which resolves names of
+ * columns to SQL and to their field definitions.
+ */
+function tableScope(self, query, table) {
+	return {
+		self: self,
+		query: query,
+		table: table,
+		primary: true,
+		column: function (name) {
+			if (name.charAt(0) === '$' || !_(table).has(name)) {
+				return null;
+			}
+			return {
+				sql: mysql.escapeId(table.$name) + '.' + mysql.escapeId(name),
+				field: table[name],
+				name: table[name].$fullname
+			};
+		},
+		relation: function (name) {
+			var relations = table.$references || {};
+			return _(relations).has(name) ? relations[name] : null;
 		}
-		var refs = self.listForeignKeys(table);
-		if (refs.length) {
-			self.lookupForeignIds(query, table, criteria, { cols: cols }, function (err, res) {
-				if (err) {
-					return callback(err);
-				}
-				generateClause(res);
+	};
+}
+
+/* Generates the list of conditions for a criteria object */
+function conditions(scope, criteria, callback) {
+	var table = scope.table;
+	var cols = _(criteria).keys();
+	var primary = table.$primary[0];
+	if (scope.primary && table.$primary.length === 1 &&
+		_(criteria).has(primary) && !isOperators(criteria[primary])) {
+		cols = [primary].concat(_(cols).filter(function (col) {
+			return _(groups).has(col);
+		}));
+	}
+	async.map(cols,
+		function (col, callback) {
+			if (_(groups).has(col)) {
+				return group(scope, col, criteria[col], callback);
+			}
+			var relation = scope.relation && scope.relation(col);
+			if (relation) {
+				return related(scope, relation, criteria[col], callback);
+			}
+			var column = scope.column(col);
+			if (!column) {
+				return callback(new Error('Field "' + col + '" not found in ' +
+					'table "' + table.$name + '"'));
+			}
+			var value = criteria[col];
+			if (isOperators(value)) {
+				return operators(scope, column, value, callback);
+			}
+			operand(scope, column.field, value, function (err, value) {
+				callback(err, column.sql + '=' + mysql.escape(value));
 			});
+		},
+		callback);
+}
+
+/*
+ * Generates the condition for a composite foreign key (see `$references` in
+ * parse-schema.js): the value is either search criteria for the parent row,
+ * which is looked up, or null for no parent row.
+ */
+function related(scope, relation, value, callback) {
+	var columns = relation.columns.map(function (name) {
+		return mysql.escapeId(scope.table.$name) + '.' + mysql.escapeId(name);
+	});
+	if (_(value).isNull()) {
+		return callback(null, '(' + columns.map(function (column) {
+				return column + ' IS NULL';
+			}).join(' OR ') + ')');
+	}
+	if (!isCriteria(value) || isOperators(value)) {
+		return callback(new Error('Value for ' + relation.$fullname + ' must ' +
+			'be search criteria for the parent row, or null'));
+	}
+	scope.self.lookupForeignId(scope.query, relation, value,
+		function (err, ids) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, '(' + relation.columns.map(function (name, i) {
+					return columns[i] + '=' + mysql.escape(ids[name]);
+				}).join(' AND ') + ')');
+		});
+}
+
+/* Boolean operators for composing criteria */
+var groups = {
+	$and: ' AND ',
+	$or: ' OR ',
+	$not: null
+};
+
+/*
+ * Generates the condition for a $and, $or or $not group.  $and and $or take
+ * an array of criteria objects, $not takes a single criteria object.
+ */
+function group(scope, op, value, callback) {
+	if (op === '$not') {
+		if (!isCriteria(value)) {
+			return callback(new Error('$not operand must be a criteria ' +
+				'object'));
 		}
-		else {
-			generateClause(criteria);
-		}
+		return conditions(scope, value, function (err, list) {
+			callback(err, 'NOT (' + (list.join(' AND ') || 'TRUE') + ')');
+		});
 	}
-	else {
-		return callback(null);
+	if (!_(value).isArray()) {
+		return callback(new Error(op + ' operand must be an array of ' +
+			'criteria objects'));
+	}
+	if (value.length === 0) {
+		return callback(null, op === '$or' ? 'FALSE' : 'TRUE');
 	}
-	function generateClause(row) {
-		cols.forEach(function (fieldName) {
-			var field = table[fieldName];
-			if (field.serialize) {
-				row[fieldName] = field.serialize(row[fieldName]);
+	async.map(value,
+		function (criteria, callback) {
+			if (!isCriteria(criteria)) {
+				return callback(new Error(op + ' operand must be an array ' +
+					'of criteria objects'));
+			}
+			conditions(scope, criteria, function (err, list) {
+				callback(err, '(' + (list.join(' AND ') || 'TRUE') + ')');
+			});
+		},
+		function (err, list) {
+			if (err) {
+				return callback(err);
 			}
+			callback(null, '(' + list.join(groups[op]) + ')');
 		});
-		return callback(null,
-			'WHERE\n\t' + cols
-				.map(function (col) {
-					return mysql.format('??=?', [col, row[col]]);
-				})
-				.join(' AND\n\t'));
+}
+
+/* Comparison operators and their SQL equivalents */
+var comparisons = {
+	$eq: '=',
+	$ne: '<>',
+	$gt: '>',
+	$gte: '>=',
+	$lt: '<',
+	$lte: '<='
+};
+
+/* Generates the conditions for an object of operators, joined by AND */
+function operators(scope, column, ops, callback) {
+	var field = column.field;
+	async.map(_(ops).keys(),
+		function (op, callback) {
+			var value = ops[op];
+			if (_(comparisons).has(op)) {
+				if (value === null) {
+					return callback(null, column.sql +
+						(op === '$ne' ? ' IS NOT NULL' : ' IS NULL'));
+				}
+				return operand(scope, field, value, function (err, value) {
+					callback(err, column.sql + comparisons[op] + mysql.escape(value));
+				});
+			}
+			switch (op) {
+			case '$like':
+				return callback(null, column.sql + ' LIKE ' + mysql.escape(value));
+			case '$null':
+				return callback(null, column.sql +
+					(value ? ' IS NULL' : ' IS NOT NULL'));
+			case '$in':
+			case '$nin':
+				if (!_(value).isArray()) {
+					return callback(new Error(op + ' operand for ' +
+						column.name + ' must be an array'));
+				}
+				if (value.length === 0) {
+					return callback(null, op === '$in' ? 'FALSE' : 'TRUE');
+				}
+				return async.map(value, async.apply(operand, scope, field),
+					function (err, values) {
+						callback(err, column.sql + (op === '$in' ? ' IN ' : ' NOT IN ') +
+							'(' + values.map(mysql.escape).join(', ') + ')');
+					});
+			case '$between':
+				if (!_(value).isArray() || value.length !== 2) {
+					return callback(new Error('$between operand for ' +
+						column.name + ' must be an array of two values'));
+				}
+				return async.map(value, async.apply(operand, scope, field),
+					function (err, values) {
+						callback(err, column.sql + ' BETWEEN ' +
+							values.map(mysql.escape).join(' AND '));
+					});
+			default:
+				return callback(new Error('Unknown operator "' + op + '" for ' +
+					column.name));
+			}
+		},
+		function (err, list) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, list.join(' AND '));
+		});
+}
+
+/*
+ * Gets the value to compare a field with: looks up the id of the parent row
+ * for search criteria on foreign-key fields, and serializes other values.
+ */
+function operand(scope, field, value, callback) {
+	if (field && field.references && isCriteria(value)) {
+		return scope.self.lookupForeignId(scope.query, field, value, callback);
 	}
+	callback(null, field && field.serialize ? field.serialize(value) : value);
+}
+
+/* Is the value a plain object (e.g. search criteria)? */
+function isCriteria(value) {
+	return _(value).isObject() && !_(value).isArray() && !_(value).isDate() &&
+		!_(value).isFunction() && !Buffer.isBuffer(value);
+}
+
+/*
+ * Is the value an object of operators, rather than a value or criteria?  An
+ * object containing $and, $or or $not is criteria, e.g. for a parent row.
+ */
+function isOperators(value) {
+	var keys = _(value).keys();
+	return isCriteria(value) && keys.length > 0 &&
+		_(keys).every(function (key) {
+			return key.charAt(0) === '$' && !_(groups).has(key);
+		});
+}
+
+// 
+// GROUP BY <fields>
+// -----
+// 
+// Groups on the named fields of the table.
+// 
+module.exports.groupBy = function (self, table, groupBy, callback) {
+	if (!groupBy.length) {
+		return callback(null);
+	}
+	callback(null, 'GROUP BY\n\t' + groupBy.map(function (name) {
+		return mysql.escapeId(table.$name) + '.' + mysql.escapeId(name);
+	}).join(',\n\t'));
+};
+
+// 
+// HAVING <criteria>
+// ------
+// 
+// Criteria on the aliases of the aggregates and on the grouped fields, using
+// the same operators as the WHERE clause.
+// 
+//     { posts: { $gt: 1 }, $or: [{ country: 44 }, { country: 372 }] }
+// 
+module.exports.having = function (self, query, table, criteria, groupBy,
+		aggregates, callback) {
+	var scope = tableScope(self, query, table);
+	var column = scope.column;
+	scope.primary = false;
+	scope.relation = null;
+	scope.column = function (name) {
+		if (_(aggregates).has(name)) {
+			return {
+				sql: mysql.escapeId(name, true),
+				field: null,
+				name: 'aggregate "' + name + '"'
+			};
+		}
+		return _(groupBy).contains(name) ? column(name) : null;
+	};
+	conditions(scope, criteria || {}, function (err, list) {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, list.length ? 'HAVING\n\t' + list.join(' AND\n\t') :
+			undefined);
+	});
 };
 
 // 
@@ -187,14 +592,16 @@ module.exports.where = function (self, query, table, criteria, callback) {
 // criteria.$sort property, or (as fallback) table.$sort are used to generate
 // sorting instructions.  $sort can be a field name/reference or an array of
 // such.  Begin field names with +/- to specify ascending or descending sort
-// order.
+// order.  Field names are qualified with the table name, so the clause may be
+// used in queries which join other tables.  Names which are not fields of the
+// table (e.g. aliases of aggregates) are not qualified.
 // 
 module.exports.orderby = function (self, table, sort, callback) {
 	var sort = sort || table.$sort || [];
+	if (!_(sort).isArray()) {
+		sort = [sort];
+	}
 	if (sort.length) {
-		if (_(sort).isString()) {
-			sort = [sort];
-		}
 		return callback(null, 'ORDER BY\n\t' + sort.map(function (field) {
 			if (field.$type === 'field') {
 				field = field.$name;
@@ -204,15 +611,18 @@ module.exports.orderby = function (self, table, sort, callback) {
 					'name a field reference, or an array of field ' +
 					'names/references'));
 			}
+			var direction = '';
 			if (field.charAt(0) === '-') {
-				return mysql.escapeId(field.substr(1)) + ' DESC';
+				direction = ' DESC';
+				field = field.substr(1);
 			}
 			else if (field.charAt(0) === '+') {
-				return mysql.escapeId(field.substr(1)) + ' ASC';
-			}
-			else {
-				return mysql.escapeId(field);
+				direction = ' ASC';
+				field = field.substr(1);
 			}
+			return (_(table).has(field) ?
+				mysql.escapeId(table.$name) + '.' : '') +
+				mysql.escapeId(field, true) + direction;
 		}).join(',\n\t'));
 	}
 	else {
@@ -244,18 +654,84 @@ module.exports.limit = function (self, options, callback) {
 	}
 };
 
+// 
+// FOR UPDATE | LOCK IN SHARE MODE
+// ----------
+// 
+// Locks the rows read by a SELECT until the end of the transaction, as given
+// by the options:
+// 
+//  + lock - `'update'` for an exclusive lock, or `'share'` for a shared lock
+//  + nowait - Fail with a LockNotAvailableError (see errors.js) instead of
+//    waiting for rows locked by other transactions
+//  + skipLocked - Leave out rows locked by other transactions
+// 
+// nowait and skipLocked need MySQL 8.  As locks are released when the
+// transaction ends, the query must be that of a transaction.
+// 
+module.exports.lock = function (self, query, options, callback) {
+	if (!options.lock) {
+		if (options.nowait || options.skipLocked) {
+			return callback(new Error('nowait and skipLocked need the lock ' +
+				'option'));
+		}
+		return callback(null);
+	}
+	if (!_(['update', 'share']).contains(options.lock)) {
+		return callback(new Error('Unknown lock mode "' + options.lock +
+			'", expected "update" or "share"'));
+	}
+	if (!query.transaction) {
+		return callback(new Error('The lock option can only be used in a ' +
+			'transaction (the locks would be released as soon as the ' +
+			'statement ends)'));
+	}
+	if (options.nowait && options.skipLocked) {
+		return callback(new Error('nowait and skipLocked cannot both be set'));
+	}
+	if (options.lock === 'share' && !options.nowait && !options.skipLocked) {
+		return callback(null, 'LOCK IN SHARE MODE');
+	}
+	callback(null, 'FOR ' + options.lock.toUpperCase() +
+		(options.nowait ? ' NOWAIT' : '') +
+		(options.skipLocked ? ' SKIP LOCKED' : ''));
+};
+
 // 
 // ON DUPLICATE KEY UPDATE <name = VALUES(name), ...>
 // -----------------------
 // 
-// Generates a list of copy assignments
+// Generates a list of copy assignments, followed by `name = name + 1` for the
+// names in the optional increment list (e.g. the version column, see
+// `$version` in index.js)
 // 
-module.exports.onDuplicateKeyUpdate = function (self, keys, callback) {
+module.exports.onDuplicateKeyUpdate = function (self, keys, increment, callback) {
+	if (_(increment).isFunction()) {
+		callback = increment;
+		increment = [];
+	}
 	callback(null,
 		'ON DUPLICATE KEY UPDATE\n\t' + keys.map(
 			function (key) {
 				return mysql.format('?? = VALUES(??)', [key, key]);
 			}
+		).concat(increments(increment)).join(',\n\t'));
+};
+
+// 
+// (<names>) VALUES (<values>), (<values>), ...
+// ------
+// 
+// Generates the column list and rows of a multi-row INSERT
+// 
+module.exports.values = function (self, keys, rows, callback) {
+	callback(null,
+		mysql.format('(??)', [keys]) + '\nVALUES\n\t' + rows.map(
+			function (row) {
+				return '(' + keys.map(function (key) {
+						return mysql.escape(row[key]);
+					}).join(', ') + ')';
+			}
 		).join(',\n\t'));
 };
 
@@ -263,9 +739,14 @@ module.exports.onDuplicateKeyUpdate = function (self, keys, callback) {
 // SET <name = value, ...>
 // ---
 // 
-// Generates a list of assignments
+// Generates a list of assignments, followed by `name = name + 1` for the
+// names in the optional increment list
 // 
-module.exports.set = function (self, keys, row, callback) {
+module.exports.set = function (self, keys, row, increment, callback) {
+	if (_(increment).isFunction()) {
+		callback = increment;
+		increment = [];
+	}
 	if (!keys) {
 		keys = names(row);
 	}
@@ -274,5 +755,12 @@ module.exports.set = function (self, keys, row, callback) {
 			function (key) {
 				return mysql.format('?? = ?', [key, row[key]]);
 			}
-		).join(',\n\t'));
+		).concat(increments(increment)).join(',\n\t'));
 };
+
+/* Assignments which increment the named columns */
+function increments(keys) {
+	return keys.map(function (key) {
+		return mysql.format('?? = ?? + 1', [key, key]);
+	});
+}
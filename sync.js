@@ -0,0 +1,398 @@
+'use strict';
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+var sql = require('./sql');
+var dependencies = require('./dependencies');
+
+var names = utils.names;
+
+var ORM = { prototype: {} };
+module.exports = ORM.prototype;
+
+// sync
+// ====
+// Keeps the rows of tables in line with a dataset
+//
+
+//
+// syncData([query] data [options] callback)
+// --------
+//
+// Inserts the rows of the dataset which are not in the database and updates
+// those which differ, identifying rows by the natural key of each table.  This
+// can be run on every start-up to keep reference tables (e.g. roles,
+// countries) up to date, unlike the default data which is only saved when the
+// tables are recreated.
+//
+//  + data - An object of the form { tableName: rows, ... }, as for
+//    saveMultipleTables.  Foreign keys may be given as search criteria.
+//  + options
+//     + remove - Delete rows of the tables which are not in the dataset.
+//       Rows of tables which are not in the dataset are never deleted.
+//  + callback - (err, counts) - counts is an object of the form
+//    { tableName: { inserted, updated, removed, unchanged }, ... }
+//
+// The natural key of a table is given by `$naturalKey` in its schema, as a
+// field name or an array of field names, and defaults to the primary key.
+// Every row of the dataset must contain the fields of the natural key.
+//
+//     countries: { $naturalKey: 'id', name: 'string' },
+//     roles: { $naturalKey: 'name', name: 'string,unique', rights: 'string' }
+//
+// Only the fields given in a row are compared and updated, after
+// serialization and foreign key lookups.  New rows are inserted by saveMany,
+// but changed rows are updated directly, so the beforeSave and afterSave hooks
+// (see hooks.js) and validation (see validate.js) are not run for them.
+// Tables are processed in foreign key order, and circular references are
+// handled as for saveMultipleTables.  All changes are made in one transaction,
+// nested within the given transaction or the transaction this is called on, if
+// any (see beginTransaction).
+//
+// ### Example
+//
+//     orm.syncData({ roles: [...], countries: [...] }, { remove: true },
+//       function (err, counts) {
+//         // counts.roles = { inserted: 1, updated: 0, removed: 2, unchanged: 3 }
+//       });
+//
+ORM.prototype.syncData = function () {
+	var args = [].slice.apply(arguments);
+	var outer = utils.query_of(args[0]);
+	if (outer) {
+		args.shift();
+	}
+	var data = args.shift();
+	var callback = args.pop();
+	var options = args.shift() || {};
+	var self = this;
+	var tableNames = names(data).filter(function (tableName) {
+		return !!data[tableName];
+	});
+	var unknown = _(tableNames).difference(names(this.schema));
+	if (unknown.length) {
+		return callback(new Error('Tables not found in schema: ' +
+			unknown.join(', ')));
+	}
+	dependencies.order_tables(this, tableNames, function (err, plan) {
+		if (err) {
+			return callback(err);
+		}
+		self.beginTransaction(outer || self.query, function (err, transaction) {
+			if (err) {
+				return callback(err);
+			}
+			var query = transaction.query;
+			var states = {};
+			async.series([
+					/* Insert and update rows, parent tables first */
+					function (callback) {
+						async.eachSeries(plan.order,
+							function (tableName, callback) {
+								syncTable(self, query, tableName, data[tableName],
+									plan.deferred[tableName] || [],
+									function (err, state) {
+										states[tableName] = state;
+										callback(err);
+									});
+							},
+							callback);
+					},
+					/* Set deferred foreign keys */
+					function (callback) {
+						async.eachSeries(_(plan.deferred).keys(),
+							function (tableName, callback) {
+								syncDeferred(self, query, states[tableName],
+									plan.deferred[tableName], callback);
+							},
+							callback);
+					},
+					/* Remove rows which are not in the dataset, child tables first */
+					function (callback) {
+						if (!options.remove) {
+							return callback(null);
+						}
+						async.eachSeries(plan.order.slice().reverse(),
+							function (tableName, callback) {
+								removeRows(self, query, states[tableName], callback);
+							},
+							callback);
+					},
+					transaction.commit
+				],
+				function (err) {
+					if (err) {
+						return transaction.rollback(function () { callback(err); });
+					}
+					callback(null, _.object(tableNames,
+						tableNames.map(function (tableName) {
+							return states[tableName].counts;
+						})));
+				});
+		});
+	});
+};
+
+/*
+ * Inserts and updates the rows of a table, without the deferred foreign keys.
+ * Calls back with the state of the table: { table, entries, unmatched,
+ * counts }, where each entry is { row, resolved, existing, status } and
+ * unmatched is the array of existing rows which are not in the dataset.
+ */
+function syncTable(self, query, tableName, rows, deferred, callback) {
+	var table = self.schema[tableName];
+	var key = table.$naturalKey;
+	if (!key.length) {
+		return callback(new Error('Cannot sync table ' + table.$fullname +
+			': it has no natural key or primary key'));
+	}
+	if (_(key).intersection(deferred).length) {
+		return callback(new Error('Cannot sync table ' + table.$fullname +
+			': its natural key contains circular foreign keys'));
+	}
+	var cache = {};
+	var state = {
+		table: table,
+		entries: [],
+		unmatched: [],
+		counts: { inserted: 0, updated: 0, removed: 0, unchanged: 0 }
+	};
+	async.waterfall([
+			function (callback) {
+				query(mysql.format('SELECT * FROM ??', [table.$name]), null,
+					function (err, existing) {
+						callback(err, existing);
+					});
+			},
+			function (existing, callback) {
+				async.map(rows,
+					function (row, callback) {
+						var resolved = _(row).omit(deferred);
+						names(table).forEach(function (name) {
+							if (table[name].serialize && _(resolved).has(name)) {
+								resolved[name] = table[name].serialize(resolved[name]);
+							}
+						});
+						self.lookupForeignIds(query, table, resolved,
+							{ cache: cache }, callback);
+					},
+					function (err, resolved) {
+						callback(err, existing, resolved);
+					});
+			},
+			function (existing, resolved, callback) {
+				var index = {};
+				existing.forEach(function (row) {
+					index[keyString(key, row)] = row;
+				});
+				var seen = {};
+				for (var i = 0; i < rows.length; i++) {
+					if (_(key).some(function (name) {
+							return _(resolved[i][name]).isUndefined() ||
+								_(resolved[i][name]).isNull();
+						})) {
+						return callback(new Error('Row ' + i + ' of table ' +
+							table.$fullname + ' has no value for its natural key (' +
+							key.join(', ') + ')'));
+					}
+					var str = keyString(key, resolved[i]);
+					if (seen[str]) {
+						return callback(new Error('Rows ' + seen[str].index + ' and ' +
+							i + ' of table ' + table.$fullname + ' have the same ' +
+							'natural key'));
+					}
+					var entry = seen[str] = {
+						index: i,
+						row: rows[i],
+						resolved: resolved[i],
+						existing: index[str] || null
+					};
+					if (!entry.existing) {
+						entry.status = 'inserted';
+					}
+					else {
+						entry.changes = changes(table, entry.resolved, entry.existing);
+						entry.status = entry.changes.length ? 'updated' : 'unchanged';
+					}
+					state.entries.push(entry);
+				}
+				state.unmatched = existing.filter(function (row) {
+					return !seen[keyString(key, row)];
+				});
+				callback(null);
+			},
+			/* Insert new rows */
+			function (callback) {
+				var inserts = _(state.entries).where({ status: 'inserted' });
+				if (!inserts.length) {
+					return callback(null);
+				}
+				self.saveMany(query, table,
+					inserts.map(function (entry) {
+						return _(entry.row).omit(deferred);
+					}),
+					{ save: 'new' },
+					function (err) {
+						callback(err);
+					});
+			},
+			/* Update changed rows */
+			function (callback) {
+				var updates = _(state.entries).where({ status: 'updated' });
+				async.eachSeries(updates,
+					function (entry, callback) {
+						update(self, query, table, entry, entry.changes, callback);
+					},
+					callback);
+			}
+		],
+		function (err) {
+			if (err) {
+				return callback(err);
+			}
+			state.entries.forEach(function (entry) {
+				state.counts[entry.status]++;
+			});
+			callback(null, state);
+		});
+}
+
+/*
+ * Sets the deferred foreign keys of the rows of a table, once all the tables
+ * have been synced
+ */
+function syncDeferred(self, query, state, deferred, callback) {
+	var table = state.table;
+	var entries = state.entries.filter(function (entry) {
+		return _(_(entry.row).pick(deferred)).keys().length > 0;
+	});
+	async.eachSeries(entries,
+		function (entry, callback) {
+			self.lookupForeignIds(query, table, _(entry.row).pick(deferred),
+				{ cols: deferred }, function (err, values) {
+					if (err) {
+						return callback(err);
+					}
+					_(entry.resolved).extend(values);
+					var cols = entry.existing ?
+						changes(table, values, entry.existing) : names(values);
+					if (!cols.length) {
+						return callback(null);
+					}
+					if (entry.status === 'unchanged') {
+						state.counts.unchanged--;
+						state.counts.updated++;
+						entry.status = 'updated';
+					}
+					update(self, query, table, entry, cols, callback);
+				});
+		},
+		callback);
+}
+
+/*
+ * Deletes the existing rows of a table which are not in the dataset
+ */
+function removeRows(self, query, state, callback) {
+	var table = state.table;
+	var key = table.$primary.length ? table.$primary : table.$naturalKey;
+	var batches = [];
+	for (var i = 0; i < state.unmatched.length; i += 500) {
+		batches.push(state.unmatched.slice(i, i + 500));
+	}
+	async.eachSeries(batches,
+		function (batch, callback) {
+			self.deleteMany(query, table,
+				{
+					$or: batch.map(function (row) {
+						return _(row).pick(key);
+					})
+				},
+				function (err) {
+					if (!err) {
+						state.counts.removed += batch.length;
+					}
+					callback(err);
+				});
+		},
+		callback);
+}
+
+/*
+ * Updates the given columns of a row, identified by the primary key of the
+ * existing row if it has one, and by its natural key otherwise
+ */
+function update(self, query, table, entry, cols, callback) {
+	var criteria = entry.existing && table.$primary.length ?
+		_(entry.existing).pick(table.$primary) :
+		_(entry.resolved).pick(table.$naturalKey);
+	async.parallel([
+			async.apply(sql.update, self, table),
+			async.apply(sql.set, self,
+				_(cols).difference([table.$version], utils.created_fields(table)),
+				entry.resolved, table.$version ? [table.$version] : []),
+			async.apply(sql.where, self, query, table, criteria)
+		],
+		function (err, sqlParts) {
+			if (err) {
+				return callback(err);
+			}
+			query(sqlParts.join('\n'), null, function (err) {
+				callback(err);
+			});
+		});
+}
+
+/* Names of the columns of a resolved row which differ from the existing row */
+function changes(table, resolved, existing) {
+	return names(resolved).filter(function (name) {
+		return _(table).has(name) &&
+			!_(canonical(resolved[name])).isEqual(canonical(existing[name]));
+	});
+}
+
+/* Identifies a row by the values of its natural key */
+function keyString(key, row) {
+	return JSON.stringify(key.map(function (name) {
+		return canonical(row[name]);
+	}));
+}
+
+/*
+ * Converts a value to a form which can be compared with the values returned
+ * by the database: dates to times, BIT values to numbers, booleans to 0/1 and
+ * numeric strings (e.g. DECIMAL values) to numbers
+ */
+function canonical(value) {
+	if (_(value).isUndefined() || _(value).isNull()) {
+		return null;
+	}
+	if (_(value).isDate()) {
+		return value.getTime();
+	}
+	if (Buffer.isBuffer(value)) {
+		return value.length <= 6 && value.length > 0 ?
+			value.readUIntBE(0, value.length) : value.toString('hex');
+	}
+	if (_(value).isBoolean()) {
+		return value ? 1 : 0;
+	}
+	if (_(value).isString() && /^-?\d+(\.\d+)?$/.test(value)) {
+		return Number(value);
+	}
+	return value;
+}
@@ -46,12 +46,17 @@ module.exports.initialize = function (debug, callback) {
 		},
 
 		roles: {
+			$naturalKey: 'name',
+			$timestamps: true,
 			name: { type: 'string', unique: true },
 			rights: { type: 'string' }
 		},
 
 		posts: {
 			$sort: '-date',
+			$unique: { user_title: ['user', 'title'] },
+			$version: 'rev',
+			$softDelete: 'deleted',
 			user: { type: 'user', onDelete: 'cascade', onUpdate: 'cascade' },
 			title: { type: 'string', index: true },
 			content: { type: 'json' },
@@ -62,6 +67,27 @@ module.exports.initialize = function (debug, callback) {
 		countries: {
 			$sort: '+name',
 			name: { type: 'string', index: true }
+		},
+
+		orders: {
+			$primary: ['id', 'version'],
+			id: { type: 'integer' },
+			version: { type: 'integer' },
+			user: { type: 'user', onDelete: 'cascade' }
+		},
+
+		employees: {
+			name: { type: 'string', unique: true },
+			manager: { type: ':employees', nullable: true }
+		},
+
+		order_lines: {
+			order_id: { type: 'integer' },
+			order_version: { type: 'integer' },
+			item: { type: 'string' },
+			$references: {
+				order: { columns: ['order_id', 'order_version'], references: 'orders', onDelete: 'cascade' }
+			}
 		}
 
 	};
@@ -89,6 +115,20 @@ module.exports.initialize = function (debug, callback) {
 		posts: [
 			{ user: { username: 'marili' }, title: 'Test post', content: {"main":"This is a test post","format":"plain"}, deleted: false },
 			{ user: { username: 'mark' }, title: 'Test post', content: {"main":"This is a test post","format":"plain"}, deleted: false }
+		],
+
+		orders: [
+			{ id: 1, version: 1, user: { username: 'mark' } },
+			{ id: 1, version: 2, user: { username: 'marili' } }
+		],
+
+		order_lines: [
+			{ order: { id: 1, version: 2 }, item: 'Ploom' }
+		],
+
+		employees: [
+			{ name: 'Minion', manager: { name: 'Boss' } },
+			{ name: 'Boss', manager: null }
 		]
 
 	};
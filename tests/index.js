@@ -25,9 +25,10 @@ var mysql_orm = require('../');
 var test = {
 	data: require('./data'),
 	readwrite: require('./readwrite'),
+	introspect: require('./introspect'),
 };
 
-var orm = null, currentTest = 'Initialize configuration';
+var orm = null, options = null, currentTest = 'Initialize configuration';
 
 var debug = process.env.DEBUG || process.env.DEBUG_MYSQL_ORM;
 
@@ -39,6 +40,7 @@ async.waterfall([
 			config.orm_options.logLevel = 3;
 			config.orm_options.debug = true;
 		}
+		options = config.orm_options;
 		mysql_orm.create(config.schema, config.data, config.orm_options, callback);
 	},
 	function (orm_, callback) {
@@ -53,6 +55,10 @@ async.waterfall([
 		currentTest = 'Read/write';
 		test.readwrite(orm, callback);
 	},
+	function (callback) {
+		currentTest = 'Introspection';
+		test.introspect(orm, options, callback);
+	},
 	],
 	function (err) {
 		orm.destroy();
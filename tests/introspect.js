@@ -0,0 +1,81 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ *
+ * (C) 2014 Mark K Cowan, mark@battlesnake.co.uk
+ *
+ * Released under `GNU General Public License, Version 2`
+ *
+ */
+
+/*
+ * Introspection tests
+ *
+ * The schema generated from the test database is used to create a copy of the
+ * database, which must generate the same schema again.
+ */
+
+var async = require('async');
+var _ = require('underscore');
+
+var mysql_orm = require('../');
+
+module.exports = function (orm, options, callback) {
+	var tables = mysql_orm.names(orm.schema);
+	var mysql_params = _(options.mysql).omit('database');
+	var copy = null;
+	async.waterfall([
+		function (callback) {
+			orm.test('Generating a schema from the test database');
+			mysql_orm.introspect({ database: orm.database, mysql: mysql_params, tables: tables }, callback);
+		},
+		function (schema, callback) {
+			if (!_(_(schema).keys().sort()).isEqual(tables.slice().sort())) {
+				return callback(new Error('Wrong tables in generated schema'));
+			}
+			var order = (schema.order_lines.$references || {}).orders;
+			if (!order || !_(order.columns).isEqual(['order_id', 'order_version']) ||
+				order.references !== 'orders' || order.onDelete !== 'cascade') {
+				return callback(new Error('Composite foreign key not generated'));
+			}
+			if (schema.users.role.references !== 'roles.id' ||
+				!schema.users.username.unique || !schema.posts.title.index) {
+				return callback(new Error('Foreign key or index not generated'));
+			}
+			orm.test('Creating a copy of the database from the generated schema');
+			mysql_orm.create(schema, null, {
+					mysql: _(mysql_params).clone(),
+					database: orm.database + '-introspect',
+					recreateDatabase: true,
+					recreateTables: true,
+					logLevel: 2
+				},
+				function (err, orm_) {
+					copy = orm_;
+					callback(err || null, schema);
+				});
+		},
+		function (schema, callback) {
+			mysql_orm.introspect({ database: copy.database, mysql: mysql_params, tables: tables },
+				function (err, copied) {
+					if (!err && !_(copied).isEqual(schema)) {
+						console.log(JSON.stringify(copied, null, '\t'));
+						err = new Error('Schema of the copy differs from the generated schema');
+					}
+					callback(err || null);
+				});
+		},
+		function (callback) {
+			copy.query('DROP DATABASE ??', [copy.database], function (err) {
+				callback(err || null);
+			});
+		}
+		],
+		function (err) {
+			if (copy) {
+				copy.destroy();
+			}
+			callback(err);
+		});
+};
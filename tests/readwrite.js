@@ -17,6 +17,8 @@ var mysql = require('mysql');
 var async = require('async');
 var _ = require('underscore');
 
+var mysql_orm = require('../');
+
 module.exports = function (orm ,callback) {
 	async.waterfall([
 		function (callback) {
@@ -178,6 +180,302 @@ module.exports = function (orm ,callback) {
 				console.log('');
 			});
 			callback(null);
+		},
+		function (callback) {
+			orm.test('Posts with lookup of user but not of user\'s role');
+			orm.loadMany(orm.schema.posts, null, { lookup: { user: { role: false, country: true } } }, callback);
+		},
+		function (posts, callback) {
+			if (!_(posts).every(function (post) {
+					return _(post.user).isObject() && !_(post.user.role).isObject();
+				})) {
+				return callback(new Error('Lookup tree was not honoured'));
+			}
+			orm.loadMany(orm.schema.posts, null, { lookup: 1 }, callback);
+		},
+		function (posts, callback) {
+			if (!_(posts).every(function (post) {
+					return _(post.user).isObject() && !_(post.user.country).isObject();
+				})) {
+				return callback(new Error('Lookup depth was not honoured'));
+			}
+			orm.test('Countries with id in (372, 370) and name like "%a"');
+			orm.loadMany(orm.schema.countries, { id: { $in: [372, 370] }, name: { $like: '%a' } }, callback);
+		},
+		function (countries, callback) {
+			console.log(_(countries).pluck('name').join(', '));
+			if (countries.length !== 2) {
+				return callback(new Error('Criteria operators returned wrong rows'));
+			}
+			orm.test('Countries named Estonia or with id 7');
+			orm.loadMany(orm.schema.countries, { $or: [{ name: 'Estonia' }, { id: 7 }] }, callback);
+		},
+		function (countries, callback) {
+			console.log(_(countries).pluck('name').join(', '));
+			if (countries.length !== 2) {
+				return callback(new Error('$or criteria returned wrong rows'));
+			}
+			orm.test('Usernames and country names of users');
+			orm.loadMany(orm.schema.users, null, { fields: [orm.schema.users.username, 'country.name'] }, callback);
+		},
+		function (users, callback) {
+			console.log(users);
+			if (!_(users).every(function (user) {
+					return _(user).keys().length === 2 && _(user.country).keys().length === 1;
+				})) {
+				return callback(new Error('Fields option returned wrong shape'));
+			}
+			orm.test('Number of posts by each user');
+			orm.aggregate(orm.schema.posts, null, { aggregates: { posts: { $count: '*' } }, groupBy: 'user' }, callback);
+		},
+		function (rows, callback) {
+			rows.forEach(function (row) {
+				console.log(row.user.username + ': ' + row.posts);
+			});
+			orm.count(orm.schema.posts, callback);
+		},
+		function (count, callback) {
+			orm.test('Total number of posts: ' + count);
+			if (count !== 1) {
+				return callback(new Error('Wrong number of posts counted'));
+			}
+			orm.test('Loading countries via Promise');
+			orm.loadMany(orm.schema.countries)
+				.then(function (countries) {
+					console.log(_(countries).pluck('name').join(', '));
+					callback(null);
+				}, callback);
+		},
+		function (callback) {
+			orm.test('Migration plan for freshly created tables');
+			orm.migrate({ dryRun: true }, callback);
+		},
+		function (statements, callback) {
+			if (statements.length) {
+				return callback(new Error('Migration planned for tables which match the schema'));
+			}
+			orm.test('Order lines of orders by marili (composite foreign key)');
+			orm.loadMany(orm.schema.order_lines, { order: { user: { username: 'marili' } } }, callback);
+		},
+		function (lines, callback) {
+			console.log(lines);
+			if (lines.length !== 1 || lines[0].order.version !== 2 ||
+				lines[0].order.user.username !== 'marili') {
+				return callback(new Error('Composite foreign key lookup failed'));
+			}
+			orm.test('Self-referencing rows saved before their parent row');
+			orm.load(orm.schema.employees, { name: 'Minion' }, callback);
+		},
+		function (minion, callback) {
+			console.log(minion);
+			if (!minion.manager || minion.manager.name !== 'Boss') {
+				return callback(new Error('Deferred foreign key not set'));
+			}
+			orm.test('Syncing roles with one changed and one new');
+			orm.syncData({
+				roles: [
+					{ name: 'admin', rights: '*' },
+					{ name: 'pleb', rights: 'nothing' },
+					{ name: 'moderator', rights: 'posts' }
+				]
+			}, callback);
+		},
+		function (counts, callback) {
+			console.log(counts);
+			var c = counts.roles;
+			if (c.inserted !== 1 || c.updated !== 1 || c.unchanged !== 1 ||
+				c.removed !== 0) {
+				return callback(new Error('Wrong sync counts'));
+			}
+			orm.test('Saving only the changed field of a loaded row');
+			orm.load(orm.schema.roles, { name: 'moderator' }, callback);
+		},
+		function (role, callback) {
+			role.rights = 'posts,comments';
+			if (!_(role.$dirty).isEqual({ rights: true })) {
+				return callback(new Error('Wrong dirty fields: ' +
+					JSON.stringify(role.$dirty)));
+			}
+			role.save(function (err) {
+				callback(err, role);
+			});
+		},
+		function (role, callback) {
+			role.reload(function (err) {
+				if (!err && role.rights !== 'posts,comments') {
+					err = new Error('Row was not saved');
+				}
+				callback(err);
+			});
+		},
+		function (callback) {
+			orm.test('Rejecting a username which is too long for its column');
+			orm.save(orm.schema.users, { username: Array(66).join('x'), role: { name: 'pleb' }, country: 44 },
+				function (err) {
+					if (!(err instanceof mysql_orm.ValidationError) ||
+						err.errors[0].rule !== 'maxLength') {
+						return callback(err || new Error('Invalid row was saved'));
+					}
+					orm.test('Duplicate username is reported as a unique key violation');
+					orm.save(orm.schema.users, { username: 'marili', role: { name: 'pleb' }, country: { name: 'Estonia' } },
+						{ save: 'new' }, function (err) {
+							if (!(err instanceof mysql_orm.UniqueViolationError) ||
+								!_(err.fields).isEqual(['username'])) {
+								return callback(err || new Error('Duplicate row was saved'));
+							}
+							orm.test('Rejecting a new user without a role');
+							orm.save(orm.schema.users, { username: 'nobody', country: 44 }, function (err) {
+								if (!(err instanceof mysql_orm.ValidationError) ||
+									err.errors[0].rule !== 'notNull' ||
+									err.errors[0].field !== 'role') {
+									return callback(err || new Error('Row without a role was saved'));
+								}
+								callback(null);
+							});
+						});
+				});
+		},
+		function (callback) {
+			orm.test('Managed transaction is rolled back when its work fails');
+			orm.transaction(function (transaction, callback) {
+				transaction.save(orm.schema.roles, { name: 'temp', rights: '' },
+					function (err) {
+						callback(err || new Error('Failed on purpose'));
+					});
+			}, function (err) {
+				if (!err || err.message !== 'Failed on purpose') {
+					return callback(err || new Error('Transaction did not fail'));
+				}
+				orm.count(orm.schema.roles, { name: 'temp' }, callback);
+			});
+		},
+		function (count, callback) {
+			if (count !== 0) {
+				return callback(new Error('Row saved in failed transaction was kept'));
+			}
+			orm.test('Failed nested save is rolled back to its savepoint');
+			orm.transaction(function (transaction, callback) {
+				transaction.save(orm.schema.roles, { name: 'outer', rights: '' }, function (err) {
+					if (err) {
+						return callback(err);
+					}
+					transaction.saveMultipleTables({
+							countries: [{ name: 'Atlantis' }],
+							users: [{ username: 'ghost', role: { name: 'nobody' }, country: { name: 'Atlantis' } }]
+						},
+						function (err) {
+							callback(err ? null : new Error('Nested save did not fail'));
+						});
+				});
+			}, function (err) {
+				if (err) {
+					return callback(err);
+				}
+				async.series([
+						function (callback) {
+							orm.count(orm.schema.roles, { name: 'outer' }, callback);
+						},
+						function (callback) {
+							orm.count(orm.schema.countries, { name: 'Atlantis' }, callback);
+						}
+					],
+					callback);
+			});
+		},
+		function (counts, callback) {
+			if (!_(counts).isEqual([1, 0])) {
+				return callback(new Error('Wrong rows kept after nested rollback: ' +
+					JSON.stringify(counts)));
+			}
+			orm.test('Locking rows is refused outside a transaction');
+			orm.load(orm.schema.roles, { name: 'admin' }, { lock: 'update' }, function (err) {
+				if (!err) {
+					return callback(new Error('Row was locked outside a transaction'));
+				}
+				orm.lookupForeignIds(orm.schema.users, { role: { name: 'admin' } }, { lock: 'update' },
+					function (err) {
+						if (!err) {
+							return callback(new Error('Parent row was locked outside a transaction'));
+						}
+						orm.test('Locking a row for update in a transaction');
+						orm.transaction(function (transaction, callback) {
+							transaction.load(orm.schema.roles, { name: 'admin' }, { lock: 'update' }, callback);
+						}, callback);
+					});
+			});
+		},
+		function (role, callback) {
+			if (role.name !== 'admin') {
+				return callback(new Error('Wrong row was locked'));
+			}
+			orm.test('Saving a post which was changed since it was loaded');
+			var criteria = { user: { username: 'marili' } };
+			async.times(2, function (n, callback) {
+				orm.load(orm.schema.posts, criteria, callback);
+			}, callback);
+		},
+		function (copies, callback) {
+			copies[0].title = 'Edited post';
+			copies[1].title = 'Conflicting edit';
+			copies[0].save(function (err) {
+				if (err) {
+					return callback(err);
+				}
+				copies[1].save(function (err) {
+					if (!(err instanceof mysql_orm.VersionConflictError)) {
+						return callback(err || new Error('Stale row was saved'));
+					}
+					callback(null);
+				});
+			});
+		},
+		function (callback) {
+			orm.test('Soft-deleting a post');
+			var criteria = { user: { username: 'marili' } };
+			async.series([
+					function (callback) {
+						orm.delete(orm.schema.posts, criteria, callback);
+					},
+					function (callback) {
+						orm.count(orm.schema.posts, criteria, callback);
+					},
+					function (callback) {
+						orm.count(orm.schema.posts, criteria, { onlyDeleted: true }, callback);
+					},
+					function (callback) {
+						orm.restore(orm.schema.posts, criteria, callback);
+					},
+					function (callback) {
+						orm.count(orm.schema.posts, criteria, callback);
+					}
+				],
+				callback);
+		},
+		function (results, callback) {
+			if (!_(results.slice(1)).isEqual([0, 1, 1, 1])) {
+				return callback(new Error('Wrong soft delete counts: ' +
+					JSON.stringify(results)));
+			}
+			orm.test('Upserting a row does not overwrite its created timestamp');
+			orm.load(orm.schema.roles, { name: 'admin' }, callback);
+		},
+		function (admin, callback) {
+			var created = admin.created_at;
+			if (!(created instanceof Date)) {
+				return callback(new Error('Created timestamp not set'));
+			}
+			orm.save(orm.schema.roles, { id: admin.id, name: 'admin', rights: '*', created_at: new Date(2000, 0, 1) },
+				function (err) {
+					if (err) {
+						return callback(err);
+					}
+					admin.reload(function (err) {
+						if (!err && admin.created_at.getTime() !== created.getTime()) {
+							err = new Error('Created timestamp was overwritten');
+						}
+						callback(err);
+					});
+				});
 		}
 		],
 		callback);
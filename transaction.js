@@ -12,12 +12,17 @@
  *
  */
 
+var async = require('async');
+var _ = require('underscore');
 var cli = require('cli-color');
 
+var utils = require('./utils');
+var errors = require('./errors');
+
 var ORM = { prototype: {} };
 module.exports = ORM.prototype;
 
-// beginTransaction(callback)
+// beginTransaction([query] [options] callback)
 // ----------------
 // 
 // Acquires a connection [from the pool if pooled] and begins a transaction
@@ -25,33 +30,112 @@ module.exports = ORM.prototype;
 // The connection is released back to the pool after rollback or after a
 // successful commit [if pooled].
 // 
-// callback = function (err, { connection, query, commit, rollback })
+//  + options
+//     + isolationLevel - Isolation level of the transaction, one of
+//       `'READ UNCOMMITTED'`, `'READ COMMITTED'`, `'REPEATABLE READ'` or
+//       `'SERIALIZABLE'`.  The default is that of the server.
+//     + readOnly (default: false) - Begin a read-only transaction
+// 
+// callback = function (err, transaction)
+// 
+// The transaction is a view of the ORM whose methods (load, save, delete,
+// etc) run their queries in the transaction, including the queries made
+// internally for foreign key lookups.  It also has:
 // 
 //  + connection: database connection
 //  + query: connection.query (tapped for logging)
 //  + commit: function (callback(err))
 //  + rollback function (callback(err))
 // 
-ORM.prototype.beginTransaction = function (callback) {
+// commit and rollback return a Promise if no callback is given.  See also
+// transaction, which commits or rolls back for you.
+// 
+// The transaction (or its query function) may also be passed as the first
+// argument of the methods of the ORM itself, and of the methods of rows (see
+// model.js).
+// 
+//     orm.beginTransaction(function (err, transaction) {
+//       transaction.load(orm.schema.users, 1, function (err, user) {
+//         user.lastactive = new Date();
+//         user.save(transaction, function (err) {
+//           transaction.commit(callback);
+//         });
+//       });
+//     });
+// 
+// ### Nested transactions
+// 
+// If a transaction (or its query function) is passed, or if beginTransaction
+// is called on a transaction, a nested transaction is begun on the same
+// connection by creating a savepoint.  Its commit releases the savepoint and
+// its rollback rolls back to the savepoint, so only the changes made since the
+// nested transaction began are undone.  Nothing is committed until the
+// outermost transaction is.  The options cannot be given for nested
+// transactions.
+// 
+// Methods which use a transaction internally (e.g. saveMultipleTables) nest
+// it in the same way when called on a transaction.
+// 
+//     orm.beginTransaction(function (err, transaction) {
+//       transaction.save(orm.schema.users, user, function (err) {
+//         transaction.saveMultipleTables(data, function (err) {
+//           // On error, only the rows of saveMultipleTables are rolled back
+//           transaction.commit(callback);
+//         });
+//       });
+//     });
+// 
+ORM.prototype.beginTransaction = function () {
+	var args = [].slice.apply(arguments);
+	var query = utils.query_of(args[0]);
+	if (query) {
+		args.shift();
+	}
+	else {
+		query = this.query;
+	}
+	var callback = args.pop();
+	var options = args.shift() || {};
+	var isolationLevel = null;
+	if (options.isolationLevel) {
+		isolationLevel = String(options.isolationLevel).toUpperCase()
+			.replace(/[\s_-]+/g, ' ');
+		if (!_(isolationLevels).contains(isolationLevel)) {
+			return callback(new Error('Unknown isolation level: ' +
+				options.isolationLevel));
+		}
+	}
+	if (query.transaction) {
+		if (isolationLevel || options.readOnly) {
+			return callback(new Error('The isolation level and access mode ' +
+				'cannot be set for nested transactions'));
+		}
+		return beginSavepoint(this, query.transaction, callback);
+	}
 	var self = this;
 	var pooled = this.connection.getConnection;
 	if (pooled) {
 		this.connection.getConnection(gotConnection);
 	}
 	else {
-		gotConnection(this.connection);
+		gotConnection(null, this.connection);
 	}
 	function gotConnection(err, connection) {
 		if (err) {
 			return callback(err);
 		}
-		connection.beginTransaction(function (err) {
+		start(connection, isolationLevel, options.readOnly, function (err) {
 			if (err) {
+				if (pooled) {
+					connection.release();
+				}
 				return callback(err);
 			}
-			var transaction = {};
+			var transaction = Object.create(self);
 			transaction.connection = connection;
 			transaction.query = self.loggedQuery(connection);
+			transaction.query.transaction = transaction;
+			transaction.savepoints = 0;
 			transaction.released = false;
 			transaction.release = function () {
 				if (!pooled) {
@@ -63,18 +147,18 @@ ORM.prototype.beginTransaction = function (callback) {
 				connection.release();
 				transaction.released = true;
 			};
-			transaction.commit = function (callback) {
+			transaction.commit = utils.promisify(function (callback) {
 				self.info(transaction.query._msg(cli.cyan('Commit transaction')));
 				connection.commit(function (err) {
 					if (err) {
 						self.warn(transaction.query._msg('Commit failed: ' + err));
-						return callback(err);
+						return callback(errors.from_mysql(self, err, 'COMMIT'));
 					}
 					transaction.release();
 					callback(null);
 				});
-			};
-			transaction.rollback = function (callback) {
+			});
+			transaction.rollback = utils.promisify(function (callback) {
 				self.info(transaction.query._msg(cli.cyan('Rollback transaction')));
 				connection.rollback(function (err) {
 					transaction.release();
@@ -84,9 +168,205 @@ ORM.prototype.beginTransaction = function (callback) {
 					}
 					callback(null);
 				});
-			};
+			});
 			self.info(transaction.query._msg(cli.cyan('Begin transaction')));
 			callback(null, transaction);
 		});
 	}
 };
+
+// transaction([query] [options] work [callback])
+// -----------
+// 
+// Runs a unit of work in a transaction, which is committed if the work
+// succeeds and rolled back if it fails.  The connection is always released.
+// 
+//  + options - As for beginTransaction, and:
+//     + retries (default: 3) - How many times to retry the whole unit of work
+//       if it fails with a DeadlockError or LockWaitTimeoutError (see
+//       errors.js)
+//     + retryDelay (default: 50) - Milliseconds to wait before the first
+//       retry, doubled for each retry after it.  May be a function
+//       `(attempt, err)` returning the delay, where attempt counts from 1.
+//  + work - function (transaction, callback(err, result)), or a function
+//    (transaction) returning a Promise.  The transaction is rolled back with an
+//    error if a function taking one argument does not return a Promise.  Use
+//    the transaction (see beginTransaction) for every operation of the unit,
+//    and do not commit or roll back the transaction.
+//  + callback - (err, result)
+// 
+// Returns a Promise if no callback is given.
+// 
+// If a transaction is given, or if this is called on a transaction, the work
+// is run in a nested transaction (see beginTransaction) and is not retried, as
+// a deadlock rolls back the outermost transaction.
+// 
+// As the work may be run more than once, it should not have side-effects
+// outside of the database.
+// 
+//     orm.transaction({ isolationLevel: 'SERIALIZABLE' },
+//       function (transaction, callback) {
+//         transaction.load(orm.schema.users, 1, function (err, user) {
+//           if (err) return callback(err);
+//           user.lastactive = new Date();
+//           user.save(transaction, callback);
+//         });
+//       },
+//       function (err) { ... });
+// 
+ORM.prototype.transaction = function () {
+	var self = this;
+	var args = [].slice.apply(arguments);
+	var outer = utils.query_of(args[0]);
+	if (outer) {
+		args.shift();
+	}
+	else if (this.query.transaction) {
+		outer = this.query;
+	}
+	var options = _(args[0]).isFunction() ? {} : args.shift() || {};
+	var work = args.shift();
+	var callback = args.shift();
+	if (!callback) {
+		return new Promise(function (resolve, reject) {
+			self.transaction.apply(self, _([outer, options, work]).compact()
+				.concat([function (err, res) {
+					if (err) {
+						return reject(err);
+					}
+					resolve(res);
+				}]));
+		});
+	}
+	var retries = _(options).has('retries') ? options.retries : 3;
+	var retryDelay = _(options).has('retryDelay') ? options.retryDelay : 50;
+	var begin = _(options).pick('isolationLevel', 'readOnly');
+	var attempt = 0;
+	run();
+	function run() {
+		var args = _([outer, begin]).compact();
+		self.beginTransaction.apply(self, args.concat([gotTransaction]));
+	}
+	function gotTransaction(err, transaction) {
+		if (err) {
+			return callback(err);
+		}
+		var finished = false;
+		var done = function (err, result) {
+			if (finished) {
+				return self.warn('Unit of work of transaction completed twice');
+			}
+			finished = true;
+			if (err) {
+				return rollback(transaction, err);
+			}
+			transaction.commit(function (err) {
+				if (err) {
+					return rollback(transaction, err);
+				}
+				callback(null, result);
+			});
+		};
+		var res;
+		try {
+			res = work(transaction, done);
+		}
+		catch (err) {
+			if (finished) {
+				throw err;
+			}
+			return done(err);
+		}
+		if (work.length >= 2 || finished) {
+			return;
+		}
+		if (!res || !_(res.then).isFunction()) {
+			/* Otherwise the transaction would never end */
+			return done(new Error('Unit of work of transaction neither takes ' +
+				'a callback nor returns a Promise'));
+		}
+		res.then(function (result) {
+			done(null, result);
+		}, function (err) {
+			done(err || new Error('Unit of work of transaction failed'));
+		});
+	}
+	function rollback(transaction, err) {
+		transaction.rollback(function (rollbackErr) {
+			if (rollbackErr) {
+				self.warn('Rollback after failed unit of work failed: ' +
+					rollbackErr);
+			}
+			var retryable = err instanceof errors.DeadlockError ||
+				err instanceof errors.LockWaitTimeoutError;
+			if (!retryable || outer || attempt >= retries) {
+				return callback(err);
+			}
+			attempt++;
+			var delay = _(retryDelay).isFunction() ?
+				retryDelay(attempt, err) :
+				retryDelay * Math.pow(2, attempt - 1);
+			self.info('Retrying transaction (attempt ' + attempt + ' of ' +
+				retries + ') after ' + delay + 'ms: ' + err.message);
+			setTimeout(run, delay);
+		});
+	}
+};
+
+var isolationLevels = [
+	'READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'
+];
+
+/* Begins a transaction on the connection */
+function start(connection, isolationLevel, readOnly, callback) {
+	async.series([
+			function (callback) {
+				if (!isolationLevel) {
+					return callback(null);
+				}
+				connection.query('SET TRANSACTION ISOLATION LEVEL ' +
+					isolationLevel, callback);
+			},
+			function (callback) {
+				if (readOnly) {
+					return connection.query('START TRANSACTION READ ONLY',
+						callback);
+				}
+				connection.beginTransaction(callback);
+			}
+		],
+		function (err) {
+			callback(err || null);
+		});
+}
+
+/*
+ * Begins a nested transaction within a transaction, by creating a savepoint
+ */
+function beginSavepoint(self, outer, callback) {
+	var query = outer.query;
+	var name = 'sp_' + (++outer.savepoints);
+	query('SAVEPOINT ' + name, null, function (err) {
+		if (err) {
+			return callback(err);
+		}
+		var transaction = Object.create(outer);
+		transaction.connection = outer.connection;
+		transaction.query = query;
+		transaction.outer = outer;
+		transaction.savepoint = name;
+		/* The connection is released by the outermost transaction */
+		transaction.release = function () {};
+		transaction.commit = utils.promisify(function (callback) {
+			query('RELEASE SAVEPOINT ' + name, null, function (err) {
+				callback(err || null);
+			});
+		});
+		transaction.rollback = utils.promisify(function (callback) {
+			query('ROLLBACK TO SAVEPOINT ' + name, null, function (err) {
+				callback(err || null);
+			});
+		});
+		callback(null, transaction);
+	});
+}
@@ -40,18 +40,148 @@ module.exports.names = function (obj) {
 		});
 };
 
+// clone
+// -----
+// Deep-copies plain objects and arrays.  Other values (e.g. functions such as
+// hooks and serializers in a schema) are copied by reference.
+//
+module.exports.clone = clone;
+function clone(value) {
+	if (_(value).isArray()) {
+		return value.map(clone);
+	}
+	if (_(value).isObject() && !_(value).isFunction() &&
+		(Object.getPrototypeOf(value) === Object.prototype ||
+			Object.getPrototypeOf(value) === null)) {
+		var res = {};
+		_(value).each(function (item, key) {
+			res[key] = clone(item);
+		});
+		return res;
+	}
+	return value;
+}
+
+// created_fields
+// --------------
+// Get a list of the names of the fields of a table which are only set when a
+// row is created, and are left alone when it is updated: the created
+// timestamp, see `$timestamps` in index.js.
+//
+module.exports.created_fields = function (table) {
+	return table.$timestamps && table.$timestamps.created ?
+		[table.$timestamps.created] : [];
+};
+
+// relations
+// ---------
+// Get a list of the names of the table-level references (composite foreign
+// keys) of a table, see `$references` in parse-schema.js.
+//
+module.exports.relations = function (table) {
+	return _(table.$references || {}).keys();
+};
+
+// lookup_child
+// ------------
+// Given the `lookup` option used to load a row, returns the `lookup` option to
+// use for the parent row of the named foreign key, or null if that foreign key
+// is not to be looked up.  The `lookup` option may be:
+//
+//  + true (default) - Look up all foreign keys, recursively
+//  + false - Do not look up any foreign keys
+//  + number - Look up foreign keys to the given depth, 0 being none
+//  + object - Look up only the foreign keys named in the object, where the
+//    value of each is the `lookup` option to use for the parent row, e.g.
+//    `{ user: { role: false, country: true } }`
+//
+module.exports.lookup_child = function (lookup, name) {
+	if (_(lookup).isUndefined() || lookup === true) {
+		return true;
+	}
+	if (_(lookup).isNumber()) {
+		return lookup >= 1 ? lookup - 1 : null;
+	}
+	if (_(lookup).isObject()) {
+		var child = lookup[name];
+		return (_(lookup).has(name) && child !== false && child !== null) ?
+			child : null;
+	}
+	return null;
+};
+
+// promisify
+// ---------
+// Wraps a callback-style method so that it returns a Promise when it is called
+// without a callback.  The Promise is resolved with the first result that
+// would have been passed to the callback, or rejected with the error.
+//
+// A query function (see query_of) given as the last argument is not taken for
+// the callback.
+//
+module.exports.promisify = function (fn) {
+	return function () {
+		var self = this;
+		var args = [].slice.apply(arguments);
+		while (args.length && _(_(args).last()).isUndefined()) {
+			args.pop();
+		}
+		var last = _(args).last();
+		if (_(last).isFunction() && !query_of(last)) {
+			return fn.apply(this, args);
+		}
+		return new Promise(function (resolve, reject) {
+			args.push(function (err, res) {
+				if (err) {
+					return reject(err);
+				}
+				resolve(res);
+			});
+			fn.apply(self, args);
+		});
+	};
+};
+
+// query_of
+// --------
+// Returns the query function given by an optional leading argument, which may
+// be a query function (e.g. `transaction.query`) or a transaction (see
+// beginTransaction).  Returns null if the argument is neither.
+//
+// Query functions are recognised by the `_cid` property set by loggedQuery.
+//
+module.exports.query_of = query_of;
+function query_of(arg) {
+	if (_(arg).isFunction()) {
+		return _(arg).has('_cid') ? arg : null;
+	}
+	if (_(arg).isObject() && _(arg.query).isFunction() &&
+		_(arg.commit).isFunction()) {
+		return arg.query;
+	}
+	return null;
+}
+
 // args
 // ----
 // Arguments parser for:
 //
-//     function ([query, ] table|field, [criteria, [options, ]] callback)
+//     function ([query|transaction, ] table|field, [criteria, [options, ]]
+//       callback)
+//
+// As a table or field must be given, a leading function is always taken to be
+// the query function.  Without one, the query function of the ORM is used,
+// which is that of the transaction for a transaction (see beginTransaction).
 //
 module.exports.parse_args = function (orm, args, wantsField) {
 	args = [].slice.apply(args);
 	var params = {};
 	params.query = (function () {
-		return (_(args[0]).isFunction() && args[0].name === 'query') ?
-			args.shift() : orm.query;
+		var query = _(args[0]).isFunction() ? args[0] : query_of(args[0]);
+		if (query) {
+			args.shift();
+		}
+		return query || orm.query;
 	})();
 	if (wantsField) {
 		params.field = (function () {
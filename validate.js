@@ -0,0 +1,226 @@
+'use strict';
+
+/*
+ * MySQL object-relational mapping
+ * ===============================
+ *
+ * (C) 2014 Mark K Cowan <mark@battlesnake.co.uk>
+ *
+ * https://github.com/battlesnake/node-mysql-orm
+ *
+ * Released under GNU General Public License, Version 2
+ *
+ */
+
+var mysql = require('mysql');
+var async = require('async');
+var _ = require('underscore');
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+var names = utils.names;
+
+// validate
+// ========
+// Validation of rows before they are saved
+//
+// Rules are declared in field definitions:
+//
+//     username: {
+//       type: 'varchar(32)',     // implies maxLength: 32
+//       required: true,
+//       pattern: /^[a-z0-9_]+$/,
+//       validate: function (value, row) {
+//         return value !== 'root' || 'Username is reserved';
+//       }
+//     },
+//     age: { type: 'integer', min: 13, max: 150 },
+//     size: { type: "enum('S','M','L')" }    // implies enum: ['S', 'M', 'L']
+//
+//  + required - The value must be given, and must not be null or an empty
+//    string.  Only the fields given are checked when updating existing rows.
+//  + maxLength - Maximum length of strings (after serialization).  Inferred
+//    from `CHAR(n)` and `VARCHAR(n)` types.
+//  + min, max - Range of numbers (or dates)
+//  + pattern - Regular expression (or string) which strings must match
+//  + enum - Array of allowed values.  Inferred from `ENUM(...)` types.
+//  + validate - Function (or array of functions) `fn(value, row)` returning
+//    true if the value is valid, or false or an error message if not.
+//
+// A null value is also rejected for fields which are not nullable, unless they
+// are auto-increment, timestamps or serialized (e.g. JSON), and so is a missing
+// value for such fields which have no default, unless updating existing rows.
+// Other rules are not checked for null or missing values, nor for foreign keys
+// given as search criteria.
+//
+// save and saveMany (and row.save) validate rows after the beforeSave hooks
+// and before any SQL is executed.  If any rows fail, nothing is saved and the
+// callback receives a ValidationError listing every failure.  Pass the option
+// `validate: false` to skip validation.
+//
+// This module is used internally, you should never need to call it yourself.
+//
+
+// parse_rules
+// -----------
+// Generates the validation rules of a field from its definition, once its
+// type has been resolved.  Stores them in `field.$rules`.
+//
+module.exports.parse_rules = function (orm, field) {
+	var rules = {};
+	var type = String(field.type || '');
+	var err = function (msg) {
+		return orm.error('Invalid validation rule for field ' +
+			field.$fullname + ': ' + msg);
+	};
+	if (field.required) {
+		rules.required = true;
+	}
+	var length = type.match(/^(?:var)?char\s*\(\s*(\d+)\s*\)/i);
+	if (_(field).has('maxLength')) {
+		if (!_(field.maxLength).isNumber()) {
+			return err('maxLength must be a number');
+		}
+		rules.maxLength = field.maxLength;
+	}
+	else if (length) {
+		rules.maxLength = Number(length[1]);
+	}
+	['min', 'max'].forEach(function (key) {
+		if (_(field).has(key)) {
+			rules[key] = field[key];
+		}
+	});
+	if (field.pattern) {
+		rules.pattern = _(field.pattern).isRegExp() ? field.pattern :
+			new RegExp(field.pattern);
+	}
+	var values = type.match(/^enum\s*\((.*)\)$/i);
+	if (field.enum) {
+		if (!_(field.enum).isArray()) {
+			return err('enum must be an array of values');
+		}
+		rules.enum = field.enum;
+	}
+	else if (values) {
+		rules.enum = values[1].match(/'(?:[^']|'')*'/g).map(function (value) {
+			return value.slice(1, -1).replace(/''/g, '\'');
+		});
+	}
+	if (field.validate) {
+		rules.validate = _(field.validate).isArray() ? field.validate :
+			[field.validate];
+		if (!_(rules.validate).every(_.isFunction)) {
+			return err('validate must be a function or an array of functions');
+		}
+	}
+	rules.notNull = !field.nullable && !field.auto_increment &&
+		!field.serialize && !/^timestamp/i.test(type);
+	rules.noDefault = field.default === null || _(field.default).isUndefined();
+	field.$rules = rules;
+};
+
+// validate_rows
+// -------------
+// Validates rows which are about to be saved.
+//
+//  + table - The table definition
+//  + rows - Array of rows
+//  + saveMode - The save mode (see save.js).  Missing fields are not
+//    reported for 'existing' rows, as only the given fields are updated.
+//
+// Returns a ValidationError listing every failure, or null if the rows are
+// valid.
+//
+module.exports.validate_rows = function (table, rows, saveMode) {
+	var failures = [];
+	var fieldNames = names(table);
+	rows.forEach(function (row, index) {
+		var given = relation_columns(table, row);
+		fieldNames.forEach(function (name) {
+			var field = table[name];
+			var rules = field.$rules;
+			var value = row[name];
+			var fail = function (rule, message, custom) {
+				failures.push({
+					row: index,
+					field: name,
+					rule: rule,
+					message: custom ? message : field.$fullname + ' ' + message,
+					value: value
+				});
+			};
+			if (!rules) {
+				return;
+			}
+			if (_(value).isUndefined()) {
+				if (saveMode === 'existing' || _(given).contains(name)) {
+					return;
+				}
+				if (rules.required) {
+					fail('required', 'is required');
+				}
+				else if (rules.notNull && rules.noDefault) {
+					fail('notNull', 'cannot be null and has no default');
+				}
+				return;
+			}
+			if (_(value).isNull() || (rules.required && value === '')) {
+				if (rules.required) {
+					fail('required', 'is required');
+				}
+				else if (value === null && rules.notNull) {
+					fail('notNull', 'cannot be null');
+				}
+				return;
+			}
+			/* Search criteria for the parent row */
+			if (field.references && _(value).isObject()) {
+				return;
+			}
+			var serialized = field.serialize ? field.serialize(value) : value;
+			if (_(rules).has('maxLength') && _(serialized).isString() &&
+				char_length(serialized) > rules.maxLength) {
+				fail('maxLength', 'must be at most ' + rules.maxLength +
+					' characters long');
+			}
+			if (_(rules).has('min') && value < rules.min) {
+				fail('min', 'must be at least ' + rules.min);
+			}
+			if (_(rules).has('max') && value > rules.max) {
+				fail('max', 'must be at most ' + rules.max);
+			}
+			if (rules.pattern && _(value).isString() &&
+				!rules.pattern.test(value)) {
+				fail('pattern', 'must match ' + rules.pattern);
+			}
+			if (rules.enum && !_(rules.enum).contains(value)) {
+				fail('enum', 'must be one of ' + rules.enum.join(', '));
+			}
+			(rules.validate || []).forEach(function (fn) {
+				var res = fn(value, row);
+				if (res === false) {
+					fail('validate', 'is invalid');
+				}
+				else if (_(res).isString()) {
+					fail('validate', res, true);
+				}
+			});
+		});
+	});
+	return failures.length ? new errors.ValidationError(table, failures) : null;
+};
+
+/* Columns of the composite foreign keys which are given in the row */
+function relation_columns(table, row) {
+	return _(table.$references || {}).reduce(function (memo, relation, name) {
+		return _(row[name]).isUndefined() ? memo :
+			memo.concat(relation.columns);
+	}, []);
+}
+
+/* Length of a string in characters, as counted by MySQL */
+function char_length(s) {
+	return s.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+}